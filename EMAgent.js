@@ -5,14 +5,35 @@
 const readline = require("readline");
 const { exit } = require("process");
 const util = require("util");
+const path = require("path");
+const os = require("os");
+const { EventEmitter } = require("events");
+const { pathToFileURL } = require("url");
+const { randomBytes, createHash } = require("crypto");
+const { readFileSync, statSync, unlinkSync, existsSync } = require("fs");
 
 const {
   readFile: _readFile,
   writeFile: _writeFile,
+  appendFile,
   access,
+  realpath,
+  stat,
+  readdir,
+  mkdir,
+  rename,
+  unlink,
+  rm,
+  lstat,
+  readlink,
+  symlink,
+  link,
+  copyFile,
 } = require("fs").promises;
 
-const { exec } = require("child_process");
+const { exec, spawn } = require("child_process");
+const { AsyncLocalStorage } = require("async_hooks");
+const { Worker } = require("worker_threads");
 const execAsync = util.promisify(exec);
 
 
@@ -20,105 +41,701 @@ const execAsync = util.promisify(exec);
 const DEFAULTS = {
   LM_HOST: "localhost",
   LM_PORT: 1234,
+  PROVIDER: "openai",
+  BASE_URL: null,
+  API_KEY: null,
+  HEADERS: {},
+  REQUEST_TIMEOUT: 600000,
+  IDLE_TIMEOUT: 300000,
   MODEL: "gpt-oss-20b",
+  FALLBACKS: [],
   TEMP: 0.7,
   MAX_TOKENS: -1,
+  THINKING_BUDGET: 0,
+  REASONING_HISTORY: "last",
+  REASONING_DISPLAY: "show",
   MAX_HISTORY: -1,
   CONTEXT_WINDOW: 128000,
   TOOL_TIMEOUT: 30000,
+  TOOL_CONCURRENCY: 4,
   MAX_BUFFER: 10 * 1024 * 1024,
   RETRY_COUNT: 3,
   RETRY_BACKOFF_MS: 500,
+  RETRY_MAX_DELAY_MS: 60000,
   CHARS_PER_TOKEN: 4,
+  TOKENIZER: null,
+  COMPACT_STRATEGY: "rolling",
+  COMPACT_THRESHOLD: 0.8,
+  COMPACT_TARGET: 0.5,
+  COMPACT_KEEP_TURNS: 4,
+  COMPACT_TOOL_OUTPUT: 2000,
   SAVE_FILE: null,
+  SESSIONS: true,
+  SESSIONS_DIR: path.join(os.homedir(), ".emagent", "sessions"),
+  CHECKPOINTS: true,
+  CHECKPOINTS_DIR: path.join(os.homedir(), ".emagent", "checkpoints"),
+  RESUME: null,
+  CONTINUE: false,
+  LIST_SESSIONS: false,
+  DELETE_SESSION: null,
   WAKEUP_MESSAGE: "[SYSTEM: Timer wakeup triggered]",
+  YOLO: false,
+  TOOL_PERMISSIONS: {
+    set_time_out: "allow",
+    cancel_timer: "allow",
+    list_timers: "allow",
+    read_file: "allow",
+    view_image: "allow",
+    list_directory: "allow",
+    glob: "allow",
+    grep: "allow",
+    stat: "allow",
+    move_file: "ask",
+    delete_file: "ask",
+    write_file: "ask",
+    edit_file: "ask",
+    apply_patch: "ask",
+    exec_shell: "ask",
+    start_process: "ask",
+    write_process_stdin: "ask",
+    read_process_output: "allow",
+    kill_process: "allow",
+    list_processes: "allow",
+  },
+  ALLOW_RULES: [],
+  DENY_RULES: [],
+  WORKSPACE: null,
+  READ_ONLY_DIRS: [],
+  TOOLS: [],
+  PLUGIN_DIRS: [path.join(os.homedir(), ".emagent", "tools")],
+  MCP_CONFIG: [path.join(os.homedir(), ".emagent", "mcp.json")],
+  MCP_MAX_RESTARTS: 3,
+  MCP_PROTOCOL_VERSION: "2024-11-05",
+  PROMPT: null,
+  OUTPUT: "text",
+  VERBOSE: false,
+  PROFILE: null,
+  TRUST_PROJECT: false,
+  TRUSTED_DIRS: [],
+  SYSTEM_PROMPT: null,
+  SYSTEM_FILE: null,
+  INSTRUCTIONS: true,
+  IMAGE_MAX_BYTES: 10 * 1024 * 1024,
+  IMAGE_MAX_DIMENSION: 8000,
+  EXPORT: null,
+  AUDIT_LOG: null,
+};
+
+const OUTPUT_FORMATS = ["text", "json", "stream-json"];
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  MODEL_ERROR: 1,
+  TOOL_DENIED: 2,
+};
+
+const PERMISSION_MODES = ["allow", "ask", "deny"];
+
+const COMPACT_STRATEGIES = ["rolling", "summary", "off"];
+
+const REASONING_HISTORY_MODES = ["all", "last", "strip"];
+
+const REASONING_DISPLAY_MODES = ["show", "collapse", "hide"];
+
+
+
+// Copies DEFAULTS so each config owns its arrays and objects; overrides win
+// and TOOL_PERMISSIONS is merged per tool.
+function createConfig(overrides = {}) {
+  const cfg = { ...DEFAULTS, ...overrides };
+  for (const [key, value] of Object.entries(cfg)) {
+    if (Array.isArray(value)) cfg[key] = [...value];
+  }
+  cfg.HEADERS = { ...overrides.HEADERS };
+  cfg.TOOL_PERMISSIONS = {
+    ...DEFAULTS.TOOL_PERMISSIONS,
+    ...overrides.TOOL_PERMISSIONS,
+  };
+  return cfg;
+}
+
+function parseEnvValue(current, v) {
+  if (typeof current === "boolean") {
+    return v === "1" || v.toLowerCase() === "true";
+  }
+  if (Array.isArray(current)) {
+    return v.split(",").map((s) => s.trim()).filter(Boolean);
+  }
+  if (current && typeof current === "object") {
+    return { ...current, ...JSON.parse(v) };
+  }
+  return typeof current === "number" ? Number(v) : v;
+}
+
+const TYPE_NAMES = {
+  string: "a string",
+  number: "a number",
+  boolean: "true or false",
+  array: "a list",
+  object: "an object",
 };
 
+// Keys that take one of a fixed set of values.
+function configChoices(key) {
+  return {
+    PROVIDER: Object.keys(PROVIDERS),
+    COMPACT_STRATEGY: COMPACT_STRATEGIES,
+    OUTPUT: OUTPUT_FORMATS,
+    REASONING_HISTORY: REASONING_HISTORY_MODES,
+    REASONING_DISPLAY: REASONING_DISPLAY_MODES,
+  }[key];
+}
+
+// Throws if `value` does not fit `key`: the type of its default (keys that
+// default to null take a string), plus the choices the CLI flags enforce.
+function validateConfigValue(key, value) {
+  const def = DEFAULTS[key];
+  const type = def === null ? "string" : Array.isArray(def) ? "array" : typeof def;
+  const ok =
+    value === null
+      ? def === null
+      : type === "array"
+        ? Array.isArray(value)
+        : type === "object"
+          ? typeof value === "object" && !Array.isArray(value)
+          : type === "number"
+            ? typeof value === "number" && Number.isFinite(value)
+            : typeof value === type;
+  if (!ok) throw new Error(`expected ${TYPE_NAMES[type]}${def === null ? " or null" : ""}`);
+
+  const choices = configChoices(key);
+  if (choices && !choices.includes(value)) throw new Error(`expected ${choices.join("|")}`);
+  if (key === "TOOL_PERMISSIONS") {
+    for (const [tool, mode] of Object.entries(value)) {
+      if (!PERMISSION_MODES.includes(mode)) {
+        throw new Error(`"${tool}" must be ${PERMISSION_MODES.join("|")}`);
+      }
+    }
+  } else if (key === "HEADERS") {
+    if (Object.values(value).some((v) => typeof v !== "string")) {
+      throw new Error("header values must be strings");
+    }
+  } else if (key === "FALLBACKS") {
+    if (value.some((e) => typeof e !== "string" && (!e || typeof e !== "object" || Array.isArray(e)))) {
+      throw new Error("entries must be model names or objects of settings");
+    }
+  } else if (type === "array" && value.some((v) => typeof v !== "string")) {
+    throw new Error("expected a list of strings");
+  }
+}
+
+const PROJECT_CONFIG_FILE = ".emagent.json";
+
+function userConfigFile(env = process.env) {
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(base, "emagent", "config.json");
+}
+
+// Null if the file does not exist; an unreadable or invalid file is
+// reported and skipped.
+function readConfigFile(file) {
+  let data;
+  try {
+    data = readFileSync(file, "utf8");
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error(`⚠️  Failed to read config ${file}: ${e.message}`);
+    return null;
+  }
+  try {
+    const values = JSON.parse(data);
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+      throw new Error("expected a JSON object");
+    }
+    return values;
+  } catch (e) {
+    console.error(`⚠️  Invalid config ${file}: ${e.message}`);
+    return null;
+  }
+}
+
+// Applies the config keys in `values` (a file or a profile). Arrays replace
+// the current value; HEADERS and TOOL_PERMISSIONS merge per key.
+function applyConfigLayer(cfg, sources, values, source) {
+  for (const [key, value] of Object.entries(values)) {
+    if (key === "profiles") continue;
+    if (!(key in DEFAULTS)) {
+      console.error(`⚠️  Unknown config key "${key}" in ${source}`);
+      continue;
+    }
+    try {
+      validateConfigValue(key, value);
+    } catch (e) {
+      console.error(`⚠️  Ignoring ${key} in ${source}: ${e.message}`);
+      continue;
+    }
+    const current = cfg[key];
+    if (current && typeof current === "object" && !Array.isArray(current)) {
+      cfg[key] = { ...current, ...value };
+    } else {
+      cfg[key] = Array.isArray(value) ? [...value] : value;
+    }
+    sources[key] = source;
+  }
+}
+
+// What a project's .emagent.json may set unless the project is trusted:
+// nothing that runs code, loosens permissions or redirects requests (and
+// with them the API key) elsewhere.
+const PROJECT_CONFIG_KEYS = new Set([
+  "MODEL",
+  "TEMP",
+  "MAX_TOKENS",
+  "THINKING_BUDGET",
+  "MAX_HISTORY",
+  "CONTEXT_WINDOW",
+  "CHARS_PER_TOKEN",
+  "COMPACT_STRATEGY",
+  "COMPACT_THRESHOLD",
+  "COMPACT_TARGET",
+  "COMPACT_KEEP_TURNS",
+  "COMPACT_TOOL_OUTPUT",
+  "REASONING_HISTORY",
+  "REASONING_DISPLAY",
+  "PROFILE",
+]);
+
+// Trusted with --trust-project, TRUST_PROJECT, or a TRUSTED_DIRS entry
+// containing the current directory. The environment is read directly so
+// this also works before the EMAGENT_* layer is applied.
+function isProjectTrusted(cfg, env, argv) {
+  if (argv.includes("--trust-project")) return true;
+  const trustAll =
+    env.EMAGENT_TRUST_PROJECT !== undefined
+      ? parseEnvValue(false, env.EMAGENT_TRUST_PROJECT)
+      : cfg.TRUST_PROJECT;
+  if (trustAll) return true;
+  const dirs =
+    env.EMAGENT_TRUSTED_DIRS !== undefined
+      ? parseEnvValue([], env.EMAGENT_TRUSTED_DIRS)
+      : cfg.TRUSTED_DIRS;
+  return dirs.some((dir) => isWithin(path.resolve(dir), process.cwd()));
+}
+
+// Drops the keys (including inside profiles) an untrusted project may not set.
+function restrictProjectConfig(values, file) {
+  const ignored = new Set();
+  const pick = (obj) =>
+    Object.fromEntries(
+      Object.entries(obj).filter(([key]) => {
+        if (PROJECT_CONFIG_KEYS.has(key) || !(key in DEFAULTS)) return true;
+        ignored.add(key);
+        return false;
+      })
+    );
+  const out = pick(values);
+  if (values.profiles && typeof values.profiles === "object") {
+    out.profiles = Object.fromEntries(
+      Object.entries(values.profiles).map(([name, profile]) => [name, pick(profile ?? {})])
+    );
+  }
+  if (ignored.size > 0) {
+    console.error(
+      `⚠️  Ignoring ${[...ignored].join(", ")} in ${file}: this project is not trusted (see --trust-project)`
+    );
+  }
+  return out;
+}
+
+function getConfig(argv = process.argv.slice(2), env = process.env) {
+  return resolveConfig(argv, env).config;
+}
 
+// Layers, lowest first: DEFAULTS, the user config file, the project's
+// .emagent.json, the selected profile, EMAGENT_* variables, CLI flags.
+// `sources` names where each key's value came from.
+function resolveConfig(argv = process.argv.slice(2), env = process.env) {
+  const cfg = createConfig();
+  const sources = Object.fromEntries(Object.keys(cfg).map((key) => [key, "default"]));
+  const projectFile = path.resolve(PROJECT_CONFIG_FILE);
+  const files = [userConfigFile(env), projectFile];
+  const loaded = [];
+  const profiles = {};
+
+  for (const file of files) {
+    let values = readConfigFile(file);
+    if (!values) continue;
+    loaded.push(file);
+    if (file === projectFile && !isProjectTrusted(cfg, env, argv)) {
+      values = restrictProjectConfig(values, file);
+    }
+    applyConfigLayer(cfg, sources, values, file);
+    for (const [name, profile] of Object.entries(values.profiles ?? {})) {
+      profiles[name] = { values: { ...profiles[name]?.values, ...profile }, file };
+    }
+  }
 
-function getConfig() {
-  const cfg = { ...DEFAULTS };
+  const flagAt = argv.lastIndexOf("--profile");
+  const profile = flagAt !== -1 ? argv[flagAt + 1] : env.EMAGENT_PROFILE || cfg.PROFILE;
+  if (profile) {
+    if (!profiles[profile]) {
+      const names = Object.keys(profiles);
+      console.error(
+        `⚠️  Unknown profile "${profile}" (${names.length ? `defined: ${names.join(", ")}` : "no profiles defined"})`
+      );
+      exit(1);
+    }
+    applyConfigLayer(cfg, sources, profiles[profile].values, `profile ${profile} (${profiles[profile].file})`);
+    cfg.PROFILE = profile;
+    if (flagAt !== -1) sources.PROFILE = "--profile";
+    else if (env.EMAGENT_PROFILE) sources.PROFILE = "EMAGENT_PROFILE";
+  }
 
   // Environment variables (prefix: EMAGENT_)
-  for (const [k, v] of Object.entries(process.env)) {
+  for (const [k, v] of Object.entries(env)) {
     if (k.startsWith("EMAGENT_")) {
       const key = k.slice(8); 
-      if (key in cfg) {
-        cfg[key] = isNaN(v) ? v : Number(v);
+      if (key in cfg && key !== "PROFILE") {
+        try {
+          const value = parseEnvValue(cfg[key], v);
+          validateConfigValue(key, value);
+          cfg[key] = value;
+          sources[key] = k;
+        } catch (e) {
+          console.error(`⚠️  Ignoring ${k}: ${e.message}`);
+        }
       }
     }
   }
 
-  // CLI flags
-  const argv = process.argv.slice(2);
+  // CLI flags. Repeated --fallback flags build one list that replaces the
+  // files' FALLBACKS.
+  let fallbackFlags = false;
   for (let i = 0; i < argv.length; i++) {
-    switch (argv[i]) {
+    const flag = argv[i];
+    const before = Object.entries(cfg).map(([key, value]) => [key, JSON.stringify(value)]);
+
+    switch (flag) {
+      case "--profile":
+        i++;
+        break;
+      case "--trust-project":
+        cfg.TRUST_PROJECT = true;
+        break;
       case "--host":
         cfg.LM_HOST = argv[++i];
         break;
       case "--port":
         cfg.LM_PORT = Number(argv[++i]);
         break;
+      case "--provider":
+        cfg.PROVIDER = argv[++i];
+        if (!(cfg.PROVIDER in PROVIDERS)) {
+          console.error(
+            `⚠️  Invalid provider "${cfg.PROVIDER}" (expected ${Object.keys(PROVIDERS).join("|")})`
+          );
+          exit(1);
+        }
+        break;
+      case "--base-url":
+        cfg.BASE_URL = argv[++i];
+        break;
+      case "--api-key":
+        cfg.API_KEY = argv[++i];
+        break;
+      case "--header": {
+        const header = String(argv[++i]);
+        const sep = header.indexOf(":");
+        if (sep <= 0) {
+          console.error(`⚠️  Invalid header "${header}" (expected "Name: value")`);
+          exit(1);
+        }
+        cfg.HEADERS[header.slice(0, sep).trim()] = header.slice(sep + 1).trim();
+        break;
+      }
+      case "--request-timeout":
+        cfg.REQUEST_TIMEOUT = Number(argv[++i]);
+        break;
+      case "--idle-timeout":
+        cfg.IDLE_TIMEOUT = Number(argv[++i]);
+        break;
+      case "--retries":
+        cfg.RETRY_COUNT = Number(argv[++i]);
+        break;
       case "--model":
         cfg.MODEL = argv[++i];
         break;
+      case "--fallback":
+        if (!fallbackFlags) cfg.FALLBACKS = [];
+        fallbackFlags = true;
+        cfg.FALLBACKS.push(argv[++i]);
+        break;
       case "--temp":
         cfg.TEMP = Number(argv[++i]);
         break;
       case "--max-tokens":
         cfg.MAX_TOKENS = Number(argv[++i]);
         break;
+      case "--thinking-budget":
+        cfg.THINKING_BUDGET = Number(argv[++i]);
+        break;
+      case "--reasoning-history":
+        cfg.REASONING_HISTORY = argv[++i];
+        if (!REASONING_HISTORY_MODES.includes(cfg.REASONING_HISTORY)) {
+          console.error(
+            `⚠️  Invalid reasoning history "${cfg.REASONING_HISTORY}" (expected ${REASONING_HISTORY_MODES.join("|")})`
+          );
+          exit(1);
+        }
+        break;
+      case "--reasoning":
+        cfg.REASONING_DISPLAY = argv[++i];
+        if (!REASONING_DISPLAY_MODES.includes(cfg.REASONING_DISPLAY)) {
+          console.error(
+            `⚠️  Invalid reasoning display "${cfg.REASONING_DISPLAY}" (expected ${REASONING_DISPLAY_MODES.join("|")})`
+          );
+          exit(1);
+        }
+        break;
+      case "--system-prompt":
+        cfg.SYSTEM_PROMPT = argv[++i];
+        cfg.SYSTEM_FILE = null;
+        break;
+      case "--system-file":
+        cfg.SYSTEM_FILE = argv[++i];
+        cfg.SYSTEM_PROMPT = null;
+        break;
+      case "--no-instructions":
+        cfg.INSTRUCTIONS = false;
+        break;
       case "--max-history":
         cfg.MAX_HISTORY = Number(argv[++i]);
         break;
       case "--context-window":
         cfg.CONTEXT_WINDOW = Number(argv[++i]);
         break;
+      case "--tokenizer":
+        cfg.TOKENIZER = argv[++i];
+        break;
+      case "--compact":
+        cfg.COMPACT_STRATEGY = argv[++i];
+        if (!COMPACT_STRATEGIES.includes(cfg.COMPACT_STRATEGY)) {
+          console.error(
+            `⚠️  Invalid compaction strategy "${cfg.COMPACT_STRATEGY}" (expected ${COMPACT_STRATEGIES.join("|")})`
+          );
+          exit(1);
+        }
+        break;
+      case "--compact-threshold":
+        cfg.COMPACT_THRESHOLD = Number(argv[++i]);
+        break;
+      case "--compact-target":
+        cfg.COMPACT_TARGET = Number(argv[++i]);
+        break;
+      case "--keep-turns":
+        cfg.COMPACT_KEEP_TURNS = Number(argv[++i]);
+        break;
+      case "--compact-tool-output":
+        cfg.COMPACT_TOOL_OUTPUT = Number(argv[++i]);
+        break;
       case "--tool-timeout":
         cfg.TOOL_TIMEOUT = Number(argv[++i]);
         break;
+      case "--tool-concurrency":
+        cfg.TOOL_CONCURRENCY = Number(argv[++i]);
+        break;
       case "--save":
         cfg.SAVE_FILE = argv[++i];
         break;
+      case "--resume":
+        cfg.RESUME = argv[++i];
+        break;
+      case "-c":
+      case "--continue":
+        cfg.CONTINUE = true;
+        break;
+      case "--no-session":
+        cfg.SESSIONS = false;
+        break;
+      case "--no-checkpoints":
+        cfg.CHECKPOINTS = false;
+        break;
+      case "--sessions-dir":
+        cfg.SESSIONS_DIR = argv[++i];
+        break;
+      case "--sessions":
+        cfg.LIST_SESSIONS = true;
+        break;
+      case "--delete-session":
+        cfg.DELETE_SESSION = argv[++i];
+        break;
+      case "--workspace":
+        cfg.WORKSPACE = argv[++i];
+        break;
+      case "--read-only-dir":
+        cfg.READ_ONLY_DIRS.push(argv[++i]);
+        break;
+      case "--tools":
+        cfg.TOOLS.push(
+          ...String(argv[++i]).split(",").map((t) => t.trim()).filter(Boolean)
+        );
+        break;
+      case "--mcp-config":
+        cfg.MCP_CONFIG.push(argv[++i]);
+        break;
+      case "-p":
+      case "--prompt":
+        cfg.PROMPT = argv[++i];
+        break;
+      case "--output":
+        cfg.OUTPUT = argv[++i];
+        if (!OUTPUT_FORMATS.includes(cfg.OUTPUT)) {
+          console.error(
+            `⚠️  Invalid output format "${cfg.OUTPUT}" (expected ${OUTPUT_FORMATS.join("|")})`
+          );
+          exit(1);
+        }
+        break;
+      case "--verbose":
+        cfg.VERBOSE = true;
+        break;
+      case "--export":
+        cfg.EXPORT = argv[++i];
+        break;
+      case "--audit-log":
+        cfg.AUDIT_LOG = argv[++i];
+        break;
+      case "--yolo":
+        cfg.YOLO = true;
+        break;
+      case "--allow":
+        cfg.ALLOW_RULES.push(argv[++i]);
+        break;
+      case "--deny":
+        cfg.DENY_RULES.push(argv[++i]);
+        break;
+      case "--permission": {
+        const [tool, mode] = String(argv[++i]).split("=");
+        if (!PERMISSION_MODES.includes(mode)) {
+          console.error(
+            `⚠️  Invalid permission "${argv[i]}" (expected <tool>=${PERMISSION_MODES.join("|")})`
+          );
+          exit(1);
+        }
+        cfg.TOOL_PERMISSIONS[tool] = mode;
+        break;
+      }
       case "-h":
       case "--help":
         console.log(
-          `Usage: node EMAgent.js [options]\n\n` +
+          `Usage: node EMAgent.js [options]\n` +
+            `       node EMAgent.js config show [options]\n\n` +
             `Options:\n` +
+            `  --profile <name>       Apply a profile from the config files\n` +
+            `  --trust-project        Let ./${PROJECT_CONFIG_FILE} set any key and load project plugins and MCP servers\n` +
             `  --host <addr>          LM host (default ${DEFAULTS.LM_HOST})\n` +
             `  --port <num>           LM port (default ${DEFAULTS.LM_PORT})\n` +
+            `  --provider <name>      API flavour: openai, anthropic or ollama (default ${DEFAULTS.PROVIDER})\n` +
+            `  --base-url <url>       Full API base URL, e.g. https://api.example.com/v1\n` +
+            `  --api-key <key>        API key sent as a Bearer token\n` +
+            `  --header <name:value>  Extra request header (repeatable)\n` +
+            `  --request-timeout <ms> Wait for the LM's response headers (default ${DEFAULTS.REQUEST_TIMEOUT}, -1 = none)\n` +
+            `  --idle-timeout <ms>    Retry a response that sends nothing for this long (default ${DEFAULTS.IDLE_TIMEOUT}, -1 = none)\n` +
+            `  --retries <n>          Attempts per endpoint for temporary failures (default ${DEFAULTS.RETRY_COUNT})\n` +
             `  --model <name>         Model name (default ${DEFAULTS.MODEL})\n` +
+            `  --fallback <model>     Model to try when the primary fails (repeatable, in order)\n` +
             `  --temp <float>         Temperature (default ${DEFAULTS.TEMP})\n` +
             `  --max-tokens <num>     Max tokens to request (-1 = unlimited)\n` +
+            `  --thinking-budget <n>  Enable extended thinking (anthropic, ollama)\n` +
+            `  --reasoning-history <mode> Reasoning sent back: all, last (current turn) or strip (default ${DEFAULTS.REASONING_HISTORY})\n` +
+            `  --reasoning <mode>     Reasoning in the terminal: show, collapse or hide (default ${DEFAULTS.REASONING_DISPLAY})\n` +
+            `  --system-prompt <text> Replace the built-in system prompt ({{cwd}}, {{date}}, ... filled in)\n` +
+            `  --system-file <file>   Read the system prompt from a file\n` +
+            `  --no-instructions      Do not append ${INSTRUCTIONS_FILE} instruction files\n` +
             `  --max-history <num>    Max conversation entries (-1 = unlimited)\n` +
             `  --context-window <num> Context window in tokens (default ${DEFAULTS.CONTEXT_WINDOW})\n` +
+            `  --tokenizer <file>     BPE vocab (.tiktoken or tokenizer.json) for local counts\n` +
+            `  --compact <strategy>   Context compaction: rolling, summary or off (default ${DEFAULTS.COMPACT_STRATEGY})\n` +
+            `  --compact-threshold <f> Compact above this share of the window (default ${DEFAULTS.COMPACT_THRESHOLD})\n` +
+            `  --compact-target <f>   Only summarize if still above this share (default ${DEFAULTS.COMPACT_TARGET})\n` +
+            `  --keep-turns <num>     Recent turns kept verbatim (default ${DEFAULTS.COMPACT_KEEP_TURNS})\n` +
+            `  --compact-tool-output <n> Elide older tool outputs over n chars (default ${DEFAULTS.COMPACT_TOOL_OUTPUT})\n` +
             `  --tool-timeout <ms>    Tool execution timeout (default ${DEFAULTS.TOOL_TIMEOUT})\n` +
-            `  --save <file>          Save/load conversation from file\n` +
+            `  --tool-concurrency <n> Max tool calls run at once (default ${DEFAULTS.TOOL_CONCURRENCY}, 1 = in order)\n` +
+            `  --save <file>          Save/load conversation from file (no session)\n` +
+            `  --resume <id>          Resume a saved session (id or unique prefix)\n` +
+            `  -c, --continue         Resume the latest session in this directory\n` +
+            `  --no-session           Do not record this run as a session\n` +
+            `  --no-checkpoints       Do not snapshot files before the agent edits them\n` +
+            `  --sessions-dir <dir>   Session store (default ~/.emagent/sessions)\n` +
+            `  --sessions             List saved sessions and exit\n` +
+            `  --delete-session <id>  Delete a saved session and exit\n` +
+            `  --workspace <dir>      Confine file tools and shell to this directory\n` +
+            `  --read-only-dir <dir>  Extra directory file tools may read (repeatable)\n` +
+            `  --tools <list>         Comma-separated tools to enable; prefix with - to disable\n` +
+            `  --mcp-config <file>    Extra MCP server config file (repeatable)\n` +
+            `  --permission <t>=<m>   Set tool mode: allow, ask or deny (repeatable)\n` +
+            `  --allow <t>:<glob>     Always allow matching command/path (repeatable)\n` +
+            `  --deny <t>:<glob>      Always deny matching command/path (repeatable)\n` +
+            `  --yolo                 Approve all tool calls without asking\n` +
+            `  -p, --prompt <text>    Run one turn headless and exit (stdin is appended)\n` +
+            `  --output <format>      Headless output: text, json or stream-json\n` +
+            `  --verbose              Headless: show sections and tool output on stderr\n` +
+            `  --export <file>        Write a session as Markdown (.md) or HTML (.html) and exit\n` +
+            `  --audit-log <file>     Append every tool call as a JSON line to this file\n` +
             `  -h, --help             Show this help\n\n` +
-            `Commands (during chat):\n` +
-            `  exit, quit             Exit the agent\n` +
-            `  save                   Manually save conversation\n` +
-            `  clear                  Clear conversation history\n` +
-            `  tokens                 Show token usage estimate`
+            `Config files (JSON, same keys as the EMAGENT_* variables, plus "profiles"):\n` +
+            `  ${userConfigFile()}\n` +
+            `  ./${PROJECT_CONFIG_FILE}\n\n` +
+            `Commands (during chat; /help lists them all):\n` +
+            `  /exit, /quit           Exit the agent\n` +
+            `  /save                  Manually save conversation\n` +
+            `  /clear                 Clear conversation history\n` +
+            `  /compact               Summarize older turns now, keeping recent ones\n` +
+            `  /tokens                Show context size and per-turn token usage\n` +
+            `  /history [n]           Show the last n messages\n` +
+            `  /retry                 Drop the last answer and ask again\n` +
+            `  /edit [text]           Rewrite your last message and resend it\n` +
+            `  /model [name]          Show or switch the model\n` +
+            `  /temp [value]          Show or set the temperature\n` +
+            `  /reasoning [mode]      Show reasoning, collapse it to one line, or hide it\n` +
+            `  /set [KEY [value]]     Show settings, or change one for this run\n` +
+            `  /tools [on|off <name>] List tools, or turn one on or off\n` +
+            `  /sessions              List saved sessions\n` +
+            `  /fork [n]              Branch into a new session, keeping the first n messages\n` +
+            `  /delete <id>           Delete a saved session\n` +
+            `  /checkpoints           List file checkpoints\n` +
+            `  /timers                List pending timers\n` +
+            `  /undo                  Revert the files changed by the last checkpoint\n` +
+            `  /rewind <n>            Restore files and conversation to before checkpoint n\n` +
+            `  /export <file>         Save the conversation as Markdown or HTML\n` +
+            `  /mcp                   Show MCP servers and their tools`
         );
         exit(0);
     }
+
+    for (const [key, value] of before) {
+      if (JSON.stringify(cfg[key]) !== value) sources[key] = flag;
+    }
   }
 
-  return cfg;
-}
+  if (!cfg.TRUST_PROJECT && isProjectTrusted(cfg, env, argv)) {
+    cfg.TRUST_PROJECT = true;
+    sources.TRUST_PROJECT = "TRUSTED_DIRS";
+  }
 
-const CONFIG = getConfig();
+  // Headless runs are mostly scripted, so they only record a session when
+  // asked to: by SESSIONS in a file or the environment, -c or --resume.
+  if (cfg.PROMPT !== null && sources.SESSIONS === "default" && !cfg.RESUME && !cfg.CONTINUE) {
+    cfg.SESSIONS = false;
+    sources.SESSIONS = "-p";
+  }
 
+  return { config: cfg, sources, files, loaded, profiles: Object.keys(profiles) };
+}
 
 
-let conversation = [];
-let isProcessing = false;
-let pendingWakeups = [];
 
-const SYSTEM_PROMPT = {
-  role: "system",
-  content: `You are an AI assistant whose primary goal is to help users complete any task that can be achieved with the tools available to you. Follow these principles:
+const DEFAULT_SYSTEM_PROMPT = `You are an AI assistant whose primary goal is to help users complete any task that can be achieved with the tools available to you. Follow these principles:
 
 1. **Tool-First Action**  
    - If a user's request matches one of your built-in capabilities, use the appropriate tool immediately and return the result in a clear, concise format.
@@ -135,46 +752,80 @@ const SYSTEM_PROMPT = {
 5. **Transparency**  
    - If you're unsure whether a task is doable with your tools, explicitly state that limitation and request guidance from the user.
 
-By adhering to these guidelines, you'll efficiently assist users while ensuring transparency when limitations arise.`,
-};
+By adhering to these guidelines, you'll efficiently assist users while ensuring transparency when limitations arise.
 
+Environment:
+- Working directory: {{cwd}}
+- Platform: {{platform}}
+- Shell: {{shell}}
+- Date: {{date}}
+- Tools: {{tools}}`;
 
+const INSTRUCTIONS_FILE = "EMAGENT.md";
 
-function estimateTokens(text) {
-  if (!text) return 0;
-  return Math.ceil(String(text).length / DEFAULTS.CHARS_PER_TOKEN);
+// The system prompt is rebuilt for every request, so its files are only
+// read again when their modification time or size has changed.
+const promptFileCache = new Map();
+
+function readPromptFile(file) {
+  const info = statSync(file);
+  const cached = promptFileCache.get(file);
+  if (cached?.mtimeMs === info.mtimeMs && cached.size === info.size) return cached.content;
+  const content = readFileSync(file, "utf8");
+  promptFileCache.set(file, { mtimeMs: info.mtimeMs, size: info.size, content });
+  return content;
 }
 
-function getConversationTokens() {
-  let total = estimateTokens(SYSTEM_PROMPT.content);
-  for (const msg of conversation) {
-    if (typeof msg.content === "string") {
-      total += estimateTokens(msg.content);
-    } else if (msg.content) {
-      total += estimateTokens(JSON.stringify(msg.content));
-    }
-    if (msg.tool_calls) {
-      total += estimateTokens(JSON.stringify(msg.tool_calls));
+// The user-global EMAGENT.md (next to the user config file), then one per
+// directory from the filesystem root down to `dir`, so the most specific
+// instructions come last. Missing or unreadable files are skipped.
+function loadInstructions(dir, env = process.env) {
+  const files = [];
+  for (let d = path.resolve(dir); ; d = path.dirname(d)) {
+    files.unshift(path.join(d, INSTRUCTIONS_FILE));
+    if (path.dirname(d) === d) break;
+  }
+  files.unshift(path.join(path.dirname(userConfigFile(env)), INSTRUCTIONS_FILE));
+
+  const found = [];
+  for (const file of new Set(files)) {
+    try {
+      const content = readPromptFile(file).trim();
+      if (content) found.push({ file, content });
+    } catch (_) {
+      // Not there
     }
   }
-  return total;
+  return found;
 }
 
-function escapeRegex(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+// Fills in {{name}} placeholders; unknown names are left as they are.
+function renderTemplate(text, vars) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    name in vars ? String(vars[name]) : match
+  );
 }
 
-function printSection(title) {
-  const padding = Math.max(0, 54 - title.length);
-  console.log(`\n┌─── ${title} ${"─".repeat(padding)}┐`);
+function localDate(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
 }
 
-function printSectionLine(content) {
-  console.log(`│ ${content}`);
+
+
+// Kana, CJK ideographs and Hangul.
+const WIDE_CHAR_RE = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+function estimateTokens(text) {
+  if (!text) return 0;
+  const str = String(text);
+  // CJK text runs close to one token per character.
+  const wide = str.match(WIDE_CHAR_RE)?.length ?? 0;
+  return wide + Math.ceil((str.length - wide) / DEFAULTS.CHARS_PER_TOKEN);
 }
 
-function printSectionEnd() {
-  console.log(`\n└${"─".repeat(60)}┘`);
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
 function truncateString(str, maxLen = 200) {
@@ -184,691 +835,5769 @@ function truncateString(str, maxLen = 200) {
 
 
 
-async function saveConversation() {
-  if (!CONFIG.SAVE_FILE) return;
-  try {
-    await _writeFile(
-      CONFIG.SAVE_FILE,
-      JSON.stringify(conversation, null, 2),
-      { encoding: "utf8" }
-    );
-  } catch (e) {
-    console.error(`⚠️  Failed to save conversation: ${e.message}`);
+// Local byte-level BPE tokenizer for counting messages the API has not
+// reported usage for. Reads a tiktoken rank file (`<base64 token> <rank>` per
+// line) or a Hugging Face tokenizer.json with a BPE model.
+
+const PRETOKENIZE_RE =
+  /'(?:[sdmt]|ll|ve|re)|\s?\p{L}+|\s?\p{N}+|\s?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+const TOKENIZER_CACHE_SIZE = 10000;
+
+// tokenizer.json vocabularies spell bytes with GPT-2's printable mapping.
+function byteLevelDecoder() {
+  const printable = new Set();
+  for (let b = 33; b <= 126; b++) printable.add(b);
+  for (let b = 161; b <= 172; b++) printable.add(b);
+  for (let b = 174; b <= 255; b++) printable.add(b);
+
+  const decoder = new Map();
+  let shifted = 0;
+  for (let b = 0; b < 256; b++) {
+    const code = printable.has(b) ? b : 256 + shifted++;
+    decoder.set(String.fromCodePoint(code), b);
   }
+  return decoder;
 }
 
-async function loadConversation() {
-  if (!CONFIG.SAVE_FILE) return;
-  try {
-    await access(CONFIG.SAVE_FILE);
-    const data = await _readFile(CONFIG.SAVE_FILE, { encoding: "utf8" });
-    conversation = JSON.parse(data);
-    console.log(`📂 Loaded ${conversation.length} messages from ${CONFIG.SAVE_FILE}`);
-  } catch (e) {
-    if (e.code !== "ENOENT") {
-      console.error(`⚠️  Failed to load conversation: ${e.message}`);
+// `piece` is a binary string (one char per byte); returns its token count.
+function bytePairCount(piece, ranks) {
+  if (ranks.has(piece)) return 1;
+
+  const parts = piece.split("");
+  while (parts.length > 1) {
+    let best = -1;
+    let bestRank = Infinity;
+    for (let i = 0; i < parts.length - 1; i++) {
+      const rank = ranks.get(parts[i] + parts[i + 1]);
+      if (rank !== undefined && rank < bestRank) {
+        best = i;
+        bestRank = rank;
+      }
+    }
+    if (best < 0) break;
+    parts.splice(best, 2, parts[best] + parts[best + 1]);
+  }
+  return parts.length;
+}
+
+function createBpeTokenizer(ranks) {
+  const cache = new Map();
+  return {
+    count(text) {
+      if (!text) return 0;
+      let total = 0;
+      for (const [word] of String(text).matchAll(PRETOKENIZE_RE)) {
+        const piece = Buffer.from(word, "utf8").toString("latin1");
+        let n = cache.get(piece);
+        if (n === undefined) {
+          n = bytePairCount(piece, ranks);
+          if (cache.size < TOKENIZER_CACHE_SIZE) cache.set(piece, n);
+        }
+        total += n;
+      }
+      return total;
+    },
+  };
+}
+
+async function loadTokenizer(file) {
+  const data = await _readFile(file, { encoding: "utf8" });
+  const ranks = new Map();
+
+  if (data.trimStart().startsWith("{")) {
+    const model = JSON.parse(data).model;
+    if (!model?.vocab) throw new Error("tokenizer.json has no BPE vocab");
+    const decoder = byteLevelDecoder();
+    for (const [token, id] of Object.entries(model.vocab)) {
+      const bytes = [...token].map((ch) => decoder.get(ch));
+      if (bytes.includes(undefined)) continue;
+      ranks.set(String.fromCharCode(...bytes), id);
+    }
+  } else {
+    for (const line of data.split("\n")) {
+      const [token, rank] = line.trim().split(/\s+/);
+      if (!token || rank === undefined) continue;
+      ranks.set(Buffer.from(token, "base64").toString("latin1"), Number(rank));
     }
   }
+
+  if (ranks.size === 0) throw new Error("no tokens found");
+  return createBpeTokenizer(ranks);
 }
 
 
-async function checkAndManageContext() {
-  const tokens = getConversationTokens();
-  const threshold = CONFIG.CONTEXT_WINDOW * 0.9;
 
-  if (tokens > threshold) {
-    console.log(
-      `\n⚠️  Context window nearly full (${tokens}/${CONFIG.CONTEXT_WINDOW} tokens)`
-    );
-    const answer = await promptUser(
-      "Do you want the model to summarize and continue? [y/N] "
-    );
+const SYMLINK_MAX_HOPS = 40;
 
-    if (answer.toLowerCase() === "y") {
-      await summarizeConversation();
-      return true;
+// Resolves symlinks in the longest existing prefix of `p`, so paths that do
+// not exist yet (new files) are still canonicalized through their parents.
+// A dangling symlink resolves to its missing target, since writing through
+// the link creates that file.
+async function canonicalize(p) {
+  const rest = [];
+  let current = p;
+  let hops = 0;
+  while (true) {
+    try {
+      return path.join(await realpath(current), ...rest.reverse());
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      const link = await readlink(current).catch(() => null);
+      if (link !== null) {
+        if (++hops > SYMLINK_MAX_HOPS) throw new Error(`Too many symlinks in "${p}"`);
+        current = path.resolve(path.dirname(current), link);
+        continue;
+      }
+      const parent = path.dirname(current);
+      if (parent === current) return p;
+      rest.push(path.basename(current));
+      current = parent;
     }
-    return false;
   }
+}
 
-  if (CONFIG.MAX_HISTORY > 0 && conversation.length > CONFIG.MAX_HISTORY) {
-    console.log(
-      `\n⚠️  Max history exceeded (${conversation.length}/${CONFIG.MAX_HISTORY} entries)`
-    );
-    const answer = await promptUser(
-      "Do you want the model to summarize and continue? [y/N] "
-    );
+function isWithin(root, target) {
+  const rel = path.relative(root, target);
+  return (
+    rel === "" ||
+    (rel !== ".." && !rel.startsWith(".." + path.sep) && !path.isAbsolute(rel))
+  );
+}
+
+function resolveFromWorkspace(config, filePath) {
+  return path.resolve(config.WORKSPACE ?? "", String(filePath ?? ""));
+}
 
-    if (answer.toLowerCase() === "y") {
-      await summarizeConversation();
-      return true;
+// `follow: false` resolves symlinks in the parent directories only, so the
+// result names the link itself (for stat, move and delete).
+async function resolveToolPath(
+  config,
+  filePath,
+  { write = false, follow = true } = {}
+) {
+  if (typeof filePath !== "string" || !filePath) {
+    throw new Error("`path` must be a non-empty string");
+  }
+  const absolute = resolveFromWorkspace(config, filePath);
+  if (!config.WORKSPACE) return absolute;
+
+  const target = follow
+    ? await canonicalize(absolute)
+    : path.join(await canonicalize(path.dirname(absolute)), path.basename(absolute));
+  const root = await canonicalize(path.resolve(config.WORKSPACE));
+  if (isWithin(root, target)) return target;
+
+  for (const dir of config.READ_ONLY_DIRS) {
+    if (isWithin(await canonicalize(path.resolve(dir)), target)) {
+      if (!write) return target;
+      throw new Error(`Path "${filePath}" is in a read-only directory (${dir})`);
     }
-    return false;
   }
 
-  return true;
+  throw new Error(`Path "${filePath}" is outside the workspace (${root})`);
 }
 
-async function summarizeConversation() {
-  printSection("Summarizing Conversation");
 
-  const summaryPrompt = {
-    role: "user",
-    content:
-      "Please provide a concise summary of our conversation so far, capturing all key points, decisions, and context needed to continue. This will replace the detailed history.",
-  };
 
-  const tempConv = [...conversation, summaryPrompt];
+// Line diffs for previews and unified-diff patches for apply_patch.
 
-  const payload = {
-    model: CONFIG.MODEL,
-    messages: [SYSTEM_PROMPT, ...tempConv],
-    temperature: 0.3,
-    max_tokens: 2000,
-    stream: false,
-  };
+const DIFF_MAX_CELLS = 1_000_000;
+const DIFF_MAX_BYTES = 1024 * 1024;
+const PATCH_MAX_FUZZ = 2;
+const PATCH_MAX_OFFSET = 200;
 
-  try {
-    const res = await fetch(
-      `http://${CONFIG.LM_HOST}:${CONFIG.LM_PORT}/v1/chat/completions`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      }
-    );
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
 
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+// Edit script between two line arrays: [{ op: " " | "-" | "+", text }].
+// The common prefix and suffix are trimmed first; if what is left is too
+// big for an LCS table it is shown as a block replacement.
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
 
-    const data = await res.json();
-    const summary = data.choices?.[0]?.message?.content || "";
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const ops = a.slice(0, start).map((text) => ({ op: " ", text }));
+
+  if (midA.length * midB.length > DIFF_MAX_CELLS) {
+    ops.push(...midA.map((text) => ({ op: "-", text })));
+    ops.push(...midB.map((text) => ({ op: "+", text })));
+  } else {
+    const n = midA.length;
+    const m = midB.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] =
+          midA[i] === midB[j]
+            ? lcs[i + 1][j + 1] + 1
+            : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        ops.push({ op: " ", text: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        ops.push({ op: "-", text: midA[i++] });
+      } else {
+        ops.push({ op: "+", text: midB[j++] });
+      }
+    }
+    while (i < n) ops.push({ op: "-", text: midA[i++] });
+    while (j < m) ops.push({ op: "+", text: midB[j++] });
+  }
 
-    conversation = [
-      {
-        role: "assistant",
-        content: `[CONVERSATION SUMMARY]\n${summary}\n[END SUMMARY - Conversation continues below]`,
-      },
-    ];
+  ops.push(...a.slice(endA).map((text) => ({ op: " ", text })));
+  return ops;
+}
 
-    printSectionLine("✓ Conversation summarized successfully");
-    printSectionEnd();
-    await saveConversation();
-  } catch (e) {
-    printSectionLine(`✗ Failed to summarize: ${e.message}`);
-    printSectionEnd();
+function createUnifiedDiff(oldText, newText, oldPath, newPath, context = 3) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const changes = [];
+  let a = 1;
+  let b = 1;
+  const positions = ops.map((o, i) => {
+    const pos = { a, b };
+    if (o.op !== "+") a++;
+    if (o.op !== "-") b++;
+    if (o.op !== " ") changes.push(i);
+    return pos;
+  });
+  if (changes.length === 0 && oldPath === newPath) return "";
+
+  const out = [`--- ${oldPath}`, `+++ ${newPath}`];
+  for (let k = 0; k < changes.length; k++) {
+    const start = Math.max(0, changes[k] - context);
+    while (k + 1 < changes.length && changes[k + 1] - changes[k] <= 2 * context) k++;
+    const slice = ops.slice(start, Math.min(ops.length, changes[k] + context + 1));
+
+    const oldCount = slice.filter((o) => o.op !== "+").length;
+    const newCount = slice.filter((o) => o.op !== "-").length;
+    const { a: oldStart, b: newStart } = positions[start];
+    out.push(
+      `@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`
+    );
+    out.push(...slice.map((o) => o.op + o.text));
   }
+  return out.join("\n");
 }
 
+function stripPatchPath(raw) {
+  const p = raw.split("\t")[0].trim();
+  if (p === "/dev/null") return null;
+  return p.replace(/^[ab]\//, "");
+}
 
+// Parses a unified diff (plain or git-style) into
+// [{ oldPath, newPath, hunks: [{ header, oldStart, lines, noEol }] }].
+// A null path means the file is created (old) or deleted (new). Hunk line
+// counts are not trusted; a hunk runs until the next header.
+function parsePatch(text) {
+  const lines = text.replace(/\r\n/g, "\n").replace(/\n+$/, "").split("\n");
+  const files = [];
+  let file = null;
+  const startFile = () => {
+    file = { oldPath: undefined, newPath: undefined, hunks: [] };
+    files.push(file);
+  };
+  const isFileHeader = (i) =>
+    lines[i].startsWith("diff --git ") ||
+    (lines[i].startsWith("--- ") && lines[i + 1]?.startsWith("+++ "));
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith("diff --git ")) {
+      startFile();
+      file.git = true;
+      const m = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      if (m) [file.oldPath, file.newPath] = [m[1], m[2]];
+    } else if (line.startsWith("--- ") && lines[i + 1]?.startsWith("+++ ")) {
+      const oldPath = stripPatchPath(line.slice(4));
+      const newPath = stripPatchPath(lines[++i].slice(4));
+      // After "diff --git", the ---/+++ pair repeats that file's paths.
+      const continuesGit =
+        file?.git &&
+        !file.hasHeader &&
+        file.hunks.length === 0 &&
+        (oldPath === null || oldPath === file.oldPath) &&
+        (newPath === null || newPath === file.newPath);
+      if (!continuesGit) startFile();
+      file.oldPath = oldPath;
+      file.newPath = newPath;
+      file.hasHeader = true;
+    } else if (file && line.startsWith("rename from ")) {
+      file.oldPath = line.slice(12).trim();
+    } else if (file && line.startsWith("rename to ")) {
+      file.newPath = line.slice(10).trim();
+    } else if (file && line.startsWith("new file mode")) {
+      file.oldPath = null;
+    } else if (file && line.startsWith("deleted file mode")) {
+      file.newPath = null;
+    } else if (line.startsWith("@@")) {
+      const m = line.match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/);
+      if (!file || !m) throw new Error(`Malformed hunk header at patch line ${i + 1}: ${line}`);
+
+      const hunk = { header: line, oldStart: Number(m[1]), lines: [], noEol: {} };
+      while (i + 1 < lines.length && !lines[i + 1].startsWith("@@") && !isFileHeader(i + 1)) {
+        const body = lines[++i];
+        if (body.startsWith("\\")) {
+          // "\ No newline at end of file" applies to the previous line's side(s)
+          const prev = hunk.lines[hunk.lines.length - 1];
+          if (prev?.op !== "+") hunk.noEol.old = true;
+          if (prev?.op !== "-") hunk.noEol.new = true;
+        } else if (body === "" || " -+".includes(body[0])) {
+          hunk.lines.push({ op: body[0] ?? " ", text: body.slice(1) });
+        } else {
+          throw new Error(`Unexpected line in hunk at patch line ${i + 1}: ${body}`);
+        }
+      }
+      file.hunks.push(hunk);
+    }
+  }
 
-async function set_time_out({ time }) {
-  if (typeof time !== "number" || !Number.isFinite(time)) {
-    return { error: "`time` must be a finite number of milliseconds" };
+  for (const f of files) {
+    if (f.oldPath === undefined || f.newPath === undefined) {
+      throw new Error("Patch is missing a ---/+++ file header");
+    }
+    delete f.hasHeader;
+    delete f.git;
   }
+  if (files.length === 0) throw new Error("No file changes found in patch");
+  return files;
+}
 
-  setTimeout(() => {
-    if (isProcessing) {
-      pendingWakeups.push({ time: Date.now() });
-    } else {
-      conversation.push({
-        role: "user",
-        content: DEFAULTS.WAKEUP_MESSAGE,
-      });
-      processPendingAndSend();
+function patchPaths(files) {
+  return [...new Set(files.flatMap((f) => [f.oldPath, f.newPath]).filter(Boolean))];
+}
+
+const LINE_MATCHERS = [
+  ["exact", (a, b) => a === b],
+  ["trailing whitespace", (a, b) => a.trimEnd() === b.trimEnd()],
+  ["whitespace", (a, b) => a.trim() === b.trim()],
+];
+
+// Finds `needle` in `lines` within PATCH_MAX_OFFSET lines of `expected` and
+// not before `min`, preferring positions closest to `expected`.
+function findHunk(lines, needle, expected, matches, min) {
+  const first = Math.max(min, expected - PATCH_MAX_OFFSET);
+  const last = Math.min(lines.length - needle.length, expected + PATCH_MAX_OFFSET);
+  for (let d = 0; d <= PATCH_MAX_OFFSET; d++) {
+    for (const at of d === 0 ? [expected] : [expected - d, expected + d]) {
+      if (at < first || at > last) continue;
+      if (needle.every((text, k) => matches(lines[at + k], text))) return at;
     }
-  }, time);
+  }
+  return -1;
+}
 
-  return { status: `Timer set for ${time} ms` };
+const leadingSpace = (line) => line.match(/^\s*/)[0];
+
+// When a hunk matched ignoring whitespace, works out how its indentation
+// differs from the file's: { remove, add } turns a patch line's leading
+// `remove` into `add`. Null if the matched lines disagree.
+function indentShift(fileLines, patchLines) {
+  let shift;
+  for (const [k, text] of patchLines.entries()) {
+    if (!text.trim()) continue;
+    const have = leadingSpace(fileLines[k]);
+    const want = leadingSpace(text);
+    let next;
+    if (have.endsWith(want)) next = { remove: "", add: have.slice(0, have.length - want.length) };
+    else if (want.endsWith(have)) next = { remove: want.slice(0, want.length - have.length), add: "" };
+    else return null;
+    if (shift && (shift.remove !== next.remove || shift.add !== next.add)) return null;
+    shift = next;
+  }
+  return shift ?? { remove: "", add: "" };
 }
 
-async function read_file({ path: filePath, start_line = 0, end_line }) {
-  try {
-    const data = await _readFile(filePath, { encoding: "utf8" });
-    const lines = data.split(/\r?\n/);
-    const s = Math.max(0, typeof start_line === "number" ? start_line : 0);
-    const e =
-      typeof end_line === "undefined"
-        ? lines.length
-        : Math.min(
-            lines.length,
-            typeof end_line === "number" ? end_line : lines.length
-          );
-    const selected = lines.slice(s, e).join("\n");
-    return {
-      content: selected,
-      total_lines: lines.length,
-      returned_lines: e - s,
-    };
-  } catch (err) {
-    return { error: err.message };
+function reindent(text, { remove, add }) {
+  if (!text.trim()) return text;
+  if (!text.startsWith(remove)) return null;
+  return add + text.slice(remove.length);
+}
+
+// Applies hunks to `content`. Context may have drifted: the hunk is searched
+// for near its line number (after the previous hunk), then with looser
+// whitespace, then with up to PATCH_MAX_FUZZ context lines dropped from each
+// end. A hunk matched ignoring indentation has its added lines re-indented
+// to fit. Resolves to { content, applied, failures }.
+function applyHunks(content, hunks) {
+  let lines = splitLines(content);
+  let eol = content === "" || content.endsWith("\n");
+  let delta = 0;
+  let min = 0;
+  const applied = [];
+  const failures = [];
+
+  for (const [n, hunk] of hunks.entries()) {
+    let placed = null;
+    let misindented = false;
+
+    for (let fuzz = 0; fuzz <= PATCH_MAX_FUZZ && !placed; fuzz++) {
+      let body = hunk.lines;
+      let trimmed = 0;
+      while (trimmed < fuzz && body[0]?.op === " " && body[body.length - 1]?.op === " ") {
+        body = body.slice(1, -1);
+        trimmed++;
+      }
+      if (trimmed < fuzz) break;
+
+      const oldLines = body.filter((l) => l.op !== "+").map((l) => l.text);
+      const expected = Math.max(0, hunk.oldStart - 1 + delta + trimmed + (oldLines.length ? 0 : 1));
+
+      for (const [mode, matches] of LINE_MATCHERS) {
+        const at = oldLines.length
+          ? findHunk(lines, oldLines, Math.min(expected, lines.length), matches, min)
+          : Math.max(min, Math.min(expected, lines.length));
+        if (at < 0) continue;
+
+        // Context lines keep the file's text when they matched loosely.
+        const shift = mode === "whitespace"
+          ? indentShift(lines.slice(at, at + oldLines.length), oldLines)
+          : { remove: "", add: "" };
+        const newLines = [];
+        let k = at;
+        for (const l of body) {
+          if (l.op === " ") newLines.push(lines[k++]);
+          else if (l.op === "-") k++;
+          else newLines.push(shift && reindent(l.text, shift));
+        }
+        if (!shift || newLines.includes(null)) {
+          misindented = true;
+          continue;
+        }
+        placed = { at, oldLines, newLines, fuzz, mode };
+        break;
+      }
+    }
+
+    if (!placed) {
+      failures.push({
+        hunk: n + 1,
+        header: hunk.header,
+        reason: misindented
+          ? "context only matched with indentation that the added lines cannot follow"
+          : `context not found within ${PATCH_MAX_OFFSET} lines of line ${hunk.oldStart + delta}`,
+      });
+      continue;
+    }
+
+    const { at, oldLines, newLines, fuzz, mode } = placed;
+    lines.splice(at, oldLines.length, ...newLines);
+    delta += newLines.length - oldLines.length;
+    min = at + newLines.length;
+    if (at + newLines.length >= lines.length) {
+      if (hunk.noEol.new) eol = false;
+      else if (hunk.noEol.old) eol = true;
+    }
+
+    const report = { hunk: n + 1, line: at + 1 };
+    if (fuzz > 0) report.fuzz = fuzz;
+    if (mode !== "exact") report.matched = `ignoring ${mode}`;
+    applied.push(report);
   }
+
+  const text = lines.join("\n");
+  return { content: text && eol ? text + "\n" : text, applied, failures };
 }
 
-async function write_file({
-  path: filePath,
-  content = "",
-  encoding = "utf8",
-  append = false,
-}) {
+// UTF-8 contents for a diff preview: null if the file is missing, undefined
+// if it is binary, too big or unreadable.
+async function readForDiff(file) {
   try {
-    const flag = append ? "a" : "w";
-    await _writeFile(filePath, content, { flag, encoding });
-    return {
-      status: "success",
-      bytes_written: Buffer.byteLength(content, encoding),
-    };
+    const data = await _readFile(file);
+    if (data.length > DIFF_MAX_BYTES || data.includes(0)) return undefined;
+    return data.toString("utf8");
   } catch (e) {
-    return { error: e.message };
+    return e.code === "ENOENT" ? null : undefined;
   }
 }
 
-async function edit_file({ path: filePath, find = "", replace = "" }) {
-  try {
-    if (!find) {
-      return { error: "'find' must be a non-empty string" };
-    }
 
-    const oldContent = await _readFile(filePath, { encoding: "utf8" });
 
-    const regex = new RegExp(escapeRegex(find), "g");
-    const matches = oldContent.match(regex);
-    const count = matches ? matches.length : 0;
+// Directory walking for the navigation tools. Walks never follow symlinked
+// directories, skip .git, and by default honour .gitignore files found along
+// the way (not global excludes or .git/info/exclude).
 
-    if (count === 0) {
-      return {
-        status: "no_match",
-        replacements: 0,
-        message: "String not found in file",
-      };
+const WALK_MAX_ENTRIES = 10000;
+const PAGE_SIZE = 200;
+const GREP_MAX_FILE_BYTES = 2 * 1024 * 1024;
+const GREP_MAX_LINE = 500;
+
+// Glob over "/"-separated paths: `*` and `?` stay within a segment, `**`
+// spans segments, `[...]` is a character class.
+function pathGlobToRegex(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") {
+      if (glob[i + 2] === "/") {
+        re += "(?:.*/)?";
+        i += 2;
+      } else {
+        re += ".*";
+        i++;
+      }
+    } else if (c === "*") {
+      re += "[^/]*";
+    } else if (c === "?") {
+      re += "[^/]";
+    } else if (c === "[") {
+      const end = glob.indexOf("]", i + 1);
+      if (end === -1) {
+        re += "\\[";
+      } else {
+        re += `[${glob.slice(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\")}]`;
+        i = end;
+      }
+    } else {
+      re += escapeRegex(c);
     }
+  }
+  return re;
+}
 
-    const newContent = oldContent.split(find).join(replace);
-    await _writeFile(filePath, newContent, { encoding: "utf8" });
+function compileGitignore(text) {
+  const rules = [];
+  for (let line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith("#")) continue;
+    line = line.replace(/(?<!\\)\s+$/, "");
+    const negate = line.startsWith("!");
+    if (negate) line = line.slice(1);
+    const dirOnly = line.endsWith("/");
+    if (dirOnly) line = line.slice(0, -1);
+    // A slash anywhere but the end anchors the pattern to this directory.
+    const anchored = line.includes("/");
+    line = line.replace(/^\//, "");
+    const body = pathGlobToRegex(line);
+    rules.push({
+      regex: new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`),
+      negate,
+      dirOnly,
+    });
+  }
+  return rules;
+}
 
-    return { status: "edited", replacements: count };
-  } catch (e) {
-    return { error: e.message };
+// `ignores` is a list of { base, rules } from the walk root down.
+function isIgnored(ignores, full, isDir) {
+  let ignored = false;
+  for (const { base, rules } of ignores) {
+    const rel = path.relative(base, full).split(path.sep).join("/");
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDir) continue;
+      if (rule.regex.test(rel)) ignored = !rule.negate;
+    }
   }
+  return ignored;
 }
 
-async function exec_shell({ command }) {
+// The workspace root, or the current directory without one.
+async function ignoreRoot(config) {
+  return config?.WORKSPACE ? canonicalize(path.resolve(config.WORKSPACE)) : process.cwd();
+}
+
+async function readGitignore(dir) {
   try {
-    const { stdout, stderr } = await execAsync(command, {
-      maxBuffer: DEFAULTS.MAX_BUFFER,
-      timeout: CONFIG.TOOL_TIMEOUT,
-    });
-    return { stdout, stderr, code: 0 };
-  } catch (e) {
-    if (e.killed) {
-      return {
-        error: `Command timed out after ${CONFIG.TOOL_TIMEOUT}ms`,
-        stdout: e.stdout ?? "",
-        stderr: e.stderr ?? "",
-        code: -1,
-      };
+    return compileGitignore(await _readFile(path.join(dir, ".gitignore"), { encoding: "utf8" }));
+  } catch (_) {
+    return null;
+  }
+}
+
+// Yields { full, rel, type } depth-first in name order. `rel` uses "/".
+// Stops after WALK_MAX_ENTRIES and sets `state.capped`.
+// As in git, the .gitignore files of `top` (the workspace root) and of each
+// directory between it and `root` apply as well.
+async function* walkTree(
+  root,
+  { depth = Infinity, hidden = false, gitignore = true, top = root },
+  state = {}
+) {
+  state.count = 0;
+  const rootIgnores = [];
+  if (gitignore) {
+    const dirs = [root];
+    if (isWithin(top, root)) {
+      for (let dir = root; dir !== top; ) {
+        dir = path.dirname(dir);
+        dirs.unshift(dir);
+      }
+    }
+    for (const dir of dirs) {
+      const rules = await readGitignore(dir);
+      if (rules) rootIgnores.push({ base: dir, rules });
+    }
+  }
+
+  async function* visit(dir, level, ignores) {
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch (_) {
+      return;
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (entry.name === ".git") continue;
+      if (!hidden && entry.name.startsWith(".")) continue;
+      const full = path.join(dir, entry.name);
+      const isDir = entry.isDirectory();
+      if (gitignore && isIgnored(ignores, full, isDir)) continue;
+
+      if (++state.count > WALK_MAX_ENTRIES) {
+        state.capped = true;
+        return;
+      }
+      const type = isDir ? "dir" : entry.isSymbolicLink() ? "symlink" : "file";
+      yield { full, rel: path.relative(root, full).split(path.sep).join("/"), type };
+
+      if (isDir && level < depth) {
+        let childIgnores = ignores;
+        if (gitignore) {
+          const rules = await readGitignore(full);
+          if (rules) childIgnores = [...ignores, { base: full, rules }];
+        }
+        yield* visit(full, level + 1, childIgnores);
+        if (state.capped) return;
+      }
     }
-    return {
-      error: e.message,
-      stdout: e.stdout ?? "",
-      stderr: e.stderr ?? "",
-      code: typeof e.code === "number" ? e.code : -1,
-    };
   }
+
+  yield* visit(root, 1, rootIgnores);
 }
 
+// Slices `items` for pagination and describes what was left out.
+function paginate(items, offset, limit, capped) {
+  const start = Math.max(0, Number(offset) || 0);
+  const size = Math.max(1, Number(limit) || PAGE_SIZE);
+  const page = items.slice(start, start + size);
+  const next = start + size < items.length ? start + size : null;
+  const result = { total: items.length, offset: start, next_offset: next };
+  if (capped) result.note = `Stopped after ${WALK_MAX_ENTRIES} entries; narrow the path or pattern`;
+  return [page, result];
+}
 
+// Paths in results are relative to the current directory (or workspace) so
+// they can be passed straight back to other tools.
+function displayPath(base, rel) {
+  return path.join(base, rel).split(path.sep).join("/");
+}
 
-const TOOL_DEFINITIONS = {
-  set_time_out,
-  read_file,
-  write_file,
-  edit_file,
-  exec_shell,
-};
 
-const TOOLS_LIST = [
-  {
-    type: "function",
-    function: {
-      name: "set_time_out",
-      description:
-        "Schedule a wake-up for the assistant after <time> ms. When the timer expires, the model will receive a notification.",
-      parameters: {
-        type: "object",
-        properties: {
-          time: { type: "number", description: "delay in ms" },
-        },
-        required: ["time"],
-        additionalProperties: false,
-      },
-    },
-  },
-  {
-    type: "function",
-    function: {
-      name: "read_file",
-      description:
-        "Read a text file and return its contents. Optional start_line (0-based) and end_line (exclusive).",
-      parameters: {
-        type: "object",
-        properties: {
-          path: { type: "string", description: "File system path" },
-          start_line: {
-            type: "integer",
-            description: "Start line index (0-based)",
-          },
-          end_line: {
-            type: "integer",
-            description: "End line index (exclusive)",
-          },
-        },
-        required: ["path"],
-        additionalProperties: false,
-      },
-    },
-  },
-  {
-    type: "function",
-    function: {
-      name: "write_file",
-      description:
-        "Write text to a file. By default it overwrites; use `append:true` to append.",
-      parameters: {
-        type: "object",
-        properties: {
-          path: { type: "string", description: "File system path" },
-          content: { type: "string", description: "Text to write" },
-          encoding: {
-            type: "string",
-            enum: ["utf8", "ascii", "base64"],
-            default: "utf8",
-          },
-          append: {
-            type: "boolean",
-            description: "Append instead of overwrite",
-            default: false,
-          },
-        },
-        required: ["path"],
-        additionalProperties: false,
-      },
-    },
-  },
+
+// Timer schedules are plain JSON so they can be saved with the conversation:
+// { id, note, due, every | cron, created, runs }. `due` is the next firing
+// as an ISO string; `every` repeats in ms, `cron` is a 5-field expression.
+
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+const MIN_TIMER_INTERVAL_MS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
   {
-    type: "function",
-    function: {
-      name: "edit_file",
-      description:
-        "Find-and-replace in a file. Replaces all occurrences and returns the count.",
-      parameters: {
-        type: "object",
-        properties: {
-          path: { type: "string", description: "File system path" },
-          find: { type: "string", description: "String to find (exact match)" },
-          replace: { type: "string", description: "Replacement string" },
-        },
-        required: ["path", "find", "replace"],
-        additionalProperties: false,
-      },
-    },
+    name: "month",
+    min: 1,
+    max: 12,
+    names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"],
   },
   {
-    type: "function",
-    function: {
-      name: "exec_shell",
-      description: `Execute a shell command. Returns stdout, stderr, exit code. Timeout: ${DEFAULTS.TOOL_TIMEOUT}ms.`,
-      parameters: {
-        type: "object",
-        properties: {
-          command: { type: "string", description: "Shell command to execute" },
-        },
-        required: ["command"],
-        additionalProperties: false,
-      },
-    },
+    name: "day of week",
+    min: 0,
+    max: 7,
+    names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"],
   },
 ];
 
+const CRON_ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *",
+};
 
+function parseCronField(part, { name, min, max, names }) {
+  const value = (s) => {
+    const i = names ? names.indexOf(s.toLowerCase()) : -1;
+    const n = i !== -1 ? i + min : /^\d+$/.test(s) ? Number(s) : NaN;
+    if (!(n >= min && n <= max)) {
+      throw new Error(`Invalid ${name} "${s}" in cron field "${part}"`);
+    }
+    return n;
+  };
 
-function parseStreamChunk(rawLine) {
-  const trimmed = rawLine.trim();
-  if (!trimmed.startsWith("data:")) return null;
-  const data = trimmed.slice(5).trim();
-
-  if (data === "[DONE]") return { done: true };
-
-  try {
-    return JSON.parse(data);
-  } catch (_) {
-    return null;
+  const values = new Set();
+  for (const item of part.split(",")) {
+    const [range, stepText] = item.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in cron field "${part}"`);
+    }
+    let lo = min;
+    let hi = max;
+    if (range !== "*") {
+      const [a, b] = range.split("-");
+      lo = value(a);
+      // "5/15" runs from 5 to the end of the range
+      hi = b !== undefined ? value(b) : stepText !== undefined ? max : lo;
+    }
+    if (lo > hi) throw new Error(`Invalid range in cron field "${part}"`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
   }
+  return values;
 }
 
-async function* streamChunks(res) {
-  const reader = res.body.getReader();
-  const decoder = new TextDecoder(); 
-  let buffer = "";
-
-  while (true) {
-    const { value, done } = await reader.read();
-    if (done) break;
+function parseCron(expr) {
+  const source = CRON_ALIASES[expr.trim().toLowerCase()] ?? expr;
+  const parts = source.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(
+      `Cron expression "${expr}" needs 5 fields (minute hour day-of-month month day-of-week)`
+    );
+  }
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  return {
+    minute,
+    hour,
+    dom,
+    month,
+    dow,
+    anyDom: parts[2].startsWith("*"),
+    anyDow: parts[4].startsWith("*"),
+  };
+}
 
-    buffer += decoder.decode(value, { stream: true });
-    const lines = buffer.split("\n");
-    buffer = lines.pop() ?? "";
+// As in cron, a restricted day of month and day of week match either one.
+function cronDayMatches(cron, t) {
+  const dom = cron.dom.has(t.getDate());
+  const dow = cron.dow.has(t.getDay());
+  if (cron.anyDom) return dow;
+  if (cron.anyDow) return dom;
+  return dom || dow;
+}
 
-    for (const raw of lines) {
-      const chunk = parseStreamChunk(raw);
-      if (!chunk) continue;
-      yield chunk;
+// First minute (local time) strictly after `after` that matches, or null if
+// nothing matches within eight years (e.g. "0 0 30 2 *").
+function nextCronTime(cron, after) {
+  const t = new Date(after.getTime());
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  const limit = after.getTime() + 8 * 366 * DAY_MS;
+
+  while (t.getTime() <= limit) {
+    if (!cron.month.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, t)) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1, 0, 0);
+    } else {
+      return t;
     }
   }
+  return null;
+}
 
-  buffer += decoder.decode();
-  if (buffer.trim()) {
-    const chunk = parseStreamChunk(buffer);
-    if (chunk) yield chunk;
+// Next due time after `now` for a repeating timer, skipping runs that were
+// missed while nothing was running. Null when the timer is finished.
+function nextTimerDue(timer, now) {
+  if (timer.cron) {
+    const next = nextCronTime(parseCron(timer.cron), new Date(now));
+    return next ? next.toISOString() : null;
   }
+  if (timer.every) {
+    const due = Date.parse(timer.due);
+    const skipped = Math.max(1, Math.ceil((now - due) / timer.every));
+    return new Date(due + skipped * timer.every).toISOString();
+  }
+  return null;
 }
 
-
-
-async function runToolCalls(calls) {
-  const results = [];
-
-  for (const call of calls) {
-    const { name, arguments: argsStr } = call.function;
-    let parsedArgs;
-
-    printSection(`Tool: ${name}`);
-    printSectionLine(`ID: ${call.id}`);
-    printSectionLine(`Args: ${truncateString(argsStr, 100)}`);
-
-    try {
-      parsedArgs = JSON.parse(argsStr || "{}");
-    } catch (e) {
-      printSectionLine(`❌ Invalid JSON`);
-      printSectionEnd();
-      results.push({
-        id: call.id,
-        error: `Invalid JSON for ${name}: ${argsStr}`,
-      });
-      continue;
+// Validates set_time_out arguments into a schedule (without an id).
+function createTimer({ time, at, every, cron, note }, now = Date.now()) {
+  const given = [time, at, cron].filter((v) => v !== undefined && v !== null);
+  if (given.length > 1) {
+    return { error: "Pass only one of `time`, `at` or `cron`" };
+  }
+  if (given.length === 0 && every === undefined) {
+    return { error: "Pass `time`, `at`, `every` or `cron`" };
+  }
+  if (every !== undefined) {
+    if (typeof every !== "number" || !Number.isFinite(every) || every < MIN_TIMER_INTERVAL_MS) {
+      return { error: `\`every\` must be at least ${MIN_TIMER_INTERVAL_MS} ms` };
     }
+    if (cron !== undefined) return { error: "`every` cannot be combined with `cron`" };
+  }
 
-    if (!(name in TOOL_DEFINITIONS)) {
-      printSectionLine(`❌ Unknown tool`);
-      printSectionEnd();
-      results.push({ id: call.id, error: `Unknown tool "${name}"` });
-      continue;
+  const timer = { note: note ? String(note) : "" };
+  let due = now + (every ?? 0);
+  if (time !== undefined && time !== null) {
+    if (typeof time !== "number" || !Number.isFinite(time) || time < 0) {
+      return { error: "`time` must be a non-negative number of milliseconds" };
     }
-
+    due = now + time;
+  } else if (at !== undefined && at !== null) {
+    due = Date.parse(at);
+    if (Number.isNaN(due)) return { error: `\`at\` is not a valid date: ${at}` };
+    if (due < now) return { error: `\`at\` is in the past: ${at}` };
+  } else if (cron !== undefined && cron !== null) {
+    let next;
     try {
-      const result = await TOOL_DEFINITIONS[name](parsedArgs);
-      const resultStr = JSON.stringify(result, null, 2);
-      printSectionLine(`✓ Result: ${truncateString(resultStr, 150)}`);
-      printSectionEnd();
-      results.push({ id: call.id, result });
+      next = nextCronTime(parseCron(String(cron)), new Date(now));
     } catch (e) {
-      printSectionLine(`❌ Error: ${e.message}`);
-      printSectionEnd();
-      results.push({
-        id: call.id,
-        error: e.message ?? String(e),
-      });
+      return { error: e.message };
     }
+    if (!next) return { error: `Cron expression "${cron}" never fires` };
+    timer.cron = String(cron);
+    due = next.getTime();
   }
+  if (every !== undefined) timer.every = every;
 
-  return results;
+  timer.due = new Date(due).toISOString();
+  timer.created = new Date(now).toISOString();
+  timer.runs = 0;
+  return { timer };
 }
 
+function describeTimer(timer) {
+  if (timer.cron) return `cron "${timer.cron}"`;
+  if (timer.every) return `every ${formatDuration(timer.every)}`;
+  return "once";
+}
 
+function formatDuration(ms) {
+  const units = [
+    ["d", DAY_MS],
+    ["h", 60 * 60 * 1000],
+    ["m", 60 * 1000],
+    ["s", 1000],
+  ];
+  const parts = [];
+  let rest = ms;
+  for (const [unit, size] of units) {
+    if (rest >= size) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+  }
+  return parts.length ? parts.join(" ") : `${ms}ms`;
+}
 
-async function sendChat(conv) {
-  const payload = {
-    model: CONFIG.MODEL,
-    messages: [SYSTEM_PROMPT, ...conv],
-    temperature: CONFIG.TEMP,
-    max_tokens: CONFIG.MAX_TOKENS,
-    stream: true,
-    tools: TOOLS_LIST,
-  };
 
-  let res;
-  for (let attempt = 1; attempt <= DEFAULTS.RETRY_COUNT; attempt++) {
-    try {
-      res = await fetch(
-        `http://${CONFIG.LM_HOST}:${CONFIG.LM_PORT}/v1/chat/completions`,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(payload),
-        }
-      );
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      break;
-    } catch (err) {
-      console.warn(
-        `⚠️  Attempt ${attempt}/${DEFAULTS.RETRY_COUNT} failed: ${err.message}`
-      );
-      if (attempt === DEFAULTS.RETRY_COUNT) throw err;
-      await new Promise((r) =>
-        setTimeout(r, attempt * DEFAULTS.RETRY_BACKOFF_MS)
-      );
-    }
+
+// Background processes started with start_process. Each stream's output is
+// buffered until read_process_output collects it. A job belongs to the
+// agent that started it; stopJobs() ends them all on exit.
+
+const jobs = new Map();
+let nextJobId = 1;
+const JOB_BUFFER_CHARS = 1024 * 1024;
+const JOB_READ_CHARS = 16000;
+const JOB_MAX_RUNNING = 16;
+const JOB_MAX_FINISHED = 50;
+
+function startJob(agent, command) {
+  const running = [...jobs.values()].filter(
+    (j) => j.owner === agent && j.status === "running"
+  );
+  if (running.length >= JOB_MAX_RUNNING) {
+    throw new Error(`Too many running processes (${JOB_MAX_RUNNING}); kill one first`);
   }
 
-  const result = {
-    content: "",
-    toolCalls: [],
-    toolResults: [],
+  // Its own process group, so killing a job also ends what it spawned.
+  const child = spawn(command, {
+    cwd: agent.config.WORKSPACE ?? undefined,
+    shell: true,
+    stdio: ["pipe", "pipe", "pipe"],
+    detached: process.platform !== "win32",
+  });
+  const job = {
+    id: `p${nextJobId++}`,
+    owner: agent,
+    command,
+    child,
+    pid: child.pid ?? null,
+    status: "running",
+    code: null,
+    signal: null,
+    error: null,
+    started: new Date().toISOString(),
+    ended: null,
+    stdout: { text: "", dropped: 0 },
+    stderr: { text: "", dropped: 0 },
+    waiters: new Set(),
   };
+  jobs.set(job.id, job);
+  child.stdin.on("error", () => {});
+
+  for (const name of ["stdout", "stderr"]) {
+    child[name].setEncoding("utf8");
+    child[name].on("data", (data) => {
+      const stream = job[name];
+      stream.text += data;
+      if (stream.text.length > JOB_BUFFER_CHARS) {
+        const cut = stream.text.length - JOB_BUFFER_CHARS;
+        stream.text = stream.text.slice(cut);
+        stream.dropped += cut;
+      }
+      notifyJob(job);
+    });
+  }
 
-  let partialToolCalls = [];
-  let reasoningText = "";
-  let inContent = false;
-  let inReasoning = false;
-  let inToolCalls = false;
+  const finish = (status) => {
+    if (job.status !== "running") return;
+    job.status = status;
+    job.ended = new Date().toISOString();
+    job.child = null;
+    notifyJob(job);
+    agent.emit("process_exit", jobSummary(job));
+  };
+  child.on("error", (e) => {
+    job.error = e.message;
+    finish("failed");
+  });
+  child.on("exit", (code, signal) => {
+    job.code = code;
+    job.signal = signal;
+    finish(signal ? "killed" : "exited");
+  });
 
-  for await (const chunk of streamChunks(res)) {
-    if (chunk.done) break;
+  pruneJobs();
+  return job;
+}
 
-    const choice = chunk.choices?.[0];
-    if (!choice) continue;
-    const delta = choice.delta ?? {};
+function notifyJob(job) {
+  for (const resolve of job.waiters) resolve();
+  job.waiters.clear();
+}
 
-    if ("content" in delta && typeof delta.content === "string") {
-      if (!inContent) {
-        if (inReasoning || inToolCalls) {
-          printSectionEnd();
-        }
-        if (reasoningText) {
-          conversation.push({
-            role: "assistant",
-            content: `<thinking>${reasoningText}</thinking>`,
-          });
-          reasoningText = "";
-        }
-        inContent = true;
-        inReasoning = false;
-        inToolCalls = false;
-        printSection("Response");
-      }
-      result.content += delta.content;
-      process.stdout.write(delta.content);
-    } else if ("reasoning" in delta && typeof delta.reasoning === "string") {
-      if (!inReasoning) {
-        if (inContent || inToolCalls) {
-          printSectionEnd();
-        }
-        inReasoning = true;
-        inContent = false;
-        inToolCalls = false;
-        printSection("Reasoning");
-      }
-      reasoningText += delta.reasoning;
-      process.stdout.write(delta.reasoning);
-    } else if (Array.isArray(delta.tool_calls)) {
-      if (!inToolCalls) {
-        if (inReasoning || inContent) {
-          printSectionEnd();
-        }
-        if (reasoningText) {
-          conversation.push({
-            role: "assistant",
-            content: `<thinking>${reasoningText}</thinking>`,
-          });
-          reasoningText = "";
-        }
-        inToolCalls = true;
-        inReasoning = false;
-        inContent = false;
-        printSection("Tool Calls");
-      }
+// Resolves on the job's next output or exit, or after `ms`.
+function waitForJob(job, ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      job.waiters.delete(done);
+      resolve();
+    }
+    job.waiters.add(done);
+  });
+}
 
-      for (const part of delta.tool_calls) {
-        let pc = partialToolCalls.find((t) => t.index === part.index);
-        if (!pc) {
-          pc = {
-            index: part.index,
-            id: part.id,
-            type: part.type || "function",
-          };
-          pc.function = { name: part.function?.name ?? "", arguments: "" };
-          partialToolCalls.push(pc);
-        }
-        if (part.function?.name && !pc.function.name) {
-          pc.function.name = part.function.name;
-          printSectionLine(`[${partialToolCalls.length}] ${pc.function.name}`);
-        }
-        if (part.function?.arguments) {
-          pc.function.arguments += part.function.arguments;
-        }
-      }
+function killJob(job, signal = "SIGTERM") {
+  if (job.status !== "running" || !job.child) return false;
+  try {
+    if (process.platform !== "win32" && job.pid) {
+      process.kill(-job.pid, signal);
+    } else {
+      job.child.kill(signal);
     }
+  } catch (e) {
+    if (e.code !== "ESRCH") throw e;
   }
+  return true;
+}
 
-  if (inContent || inReasoning || inToolCalls) {
-    printSectionEnd();
+// Ends every running job, or only those of `owner`.
+function stopJobs(owner = null) {
+  for (const job of jobs.values()) {
+    if (owner && job.owner !== owner) continue;
+    try {
+      killJob(job);
+    } catch (_) {
+      // Already gone or not ours to signal
+    }
   }
+}
 
-  if (reasoningText) {
-    conversation.push({
-      role: "assistant",
-      content: `<thinking>${reasoningText}</thinking>`,
-    });
+function pruneJobs() {
+  const finished = [...jobs.values()].filter((j) => j.status !== "running");
+  for (const job of finished.slice(0, Math.max(0, finished.length - JOB_MAX_FINISHED))) {
+    jobs.delete(job.id);
   }
+}
 
-  // FIXED: Proper OpenAI-compatible tool_calls format
-  if (partialToolCalls.length > 0) {
-    result.toolCalls = partialToolCalls.map((tc) => ({
-      id: tc.id,
-      type: tc.type || "function",
-      function: {
-        name: tc.function.name,
-        arguments: tc.function.arguments,
-      },
-    }));
+function getJob(agent, id) {
+  const job = jobs.get(String(id));
+  return job?.owner === agent ? job : null;
+}
 
-    const toolResults = await runToolCalls(result.toolCalls);
-    result.toolResults = toolResults;
+function jobSummary(job) {
+  const summary = {
+    id: job.id,
+    command: job.command,
+    pid: job.pid,
+    status: job.status,
+    started: job.started,
+  };
+  if (job.status !== "running") {
+    summary.code = job.code;
+    summary.signal = job.signal;
+    summary.ended = job.ended;
   }
+  if (job.error) summary.error = job.error;
+  summary.unread = { stdout: job.stdout.text.length, stderr: job.stderr.text.length };
+  return summary;
+}
 
-  return result;
+function takeJobOutput(stream, max) {
+  const text = stream.text.slice(0, max);
+  stream.text = stream.text.slice(max);
+  const dropped = stream.dropped;
+  stream.dropped = 0;
+  return [text, dropped];
 }
 
 
 
-async function processPendingAndSend() {
-  if (isProcessing) return;
-  isProcessing = true;
+// Images in user content. The conversation stores an image as a reference,
+// { type: "image", path, sha256, mime_type, width, height, size }, so saved
+// sessions stay small; the bytes are read back (and checked against the
+// hash) when a request is built.
 
-  try {
-    await sendMessage();
-  } finally {
-    isProcessing = false;
+const IMAGE_EXTENSIONS = ["png", "jpg", "jpeg", "gif", "webp"];
+const IMAGE_CACHE_BYTES = 64 * 1024 * 1024;
 
-    // Process any pending wakeups that occurred during processing
-    while (pendingWakeups.length > 0) {
-      const wakeup = pendingWakeups.shift();
-      conversation.push({
-        role: "user",
-        content: `[SYSTEM: Deferred timer wakeup (queued at ${new Date(wakeup.time).toISOString()})]`,
-      });
-      isProcessing = true;
-      try {
-        await sendMessage();
-      } finally {
-        isProcessing = false;
-      }
-    }
+// `@shot.png` or `@"my shot.png"`, at the start of a word.
+const IMAGE_MENTION_RE = new RegExp(
+  `(^|\\s)@(?:"([^"]+\\.(?:${IMAGE_EXTENSIONS.join("|")}))"|(\\S+?\\.(?:${IMAGE_EXTENSIONS.join("|")})))(?=$|\\s|[,;:!?)]|\\.(?:\\s|$))`,
+  "gi"
+);
+
+// Recently used image bytes by hash, oldest first.
+const imageCache = new Map();
+let imageCacheBytes = 0;
+
+function cacheImage(hash, data) {
+  if (imageCache.has(hash)) imageCacheBytes -= imageCache.get(hash).length;
+  imageCache.delete(hash);
+  imageCache.set(hash, data);
+  imageCacheBytes += data.length;
+  for (const [oldest, bytes] of imageCache) {
+    if (imageCacheBytes <= IMAGE_CACHE_BYTES || oldest === hash) break;
+    imageCache.delete(oldest);
+    imageCacheBytes -= bytes.length;
   }
 }
 
-async function sendMessage() {
-  
-  while (true) {
-    try {
-      const result = await sendChat(conversation);
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// { mime_type, width, height } from the file header, or null if `data` is
+// not a PNG, JPEG, GIF or WebP image.
+function imageInfo(data) {
+  const ascii = (start, end) => data.toString("latin1", start, end);
+
+  if (data.length >= 24 && ascii(1, 4) === "PNG") {
+    return { mime_type: "image/png", width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  }
+  if (data.length >= 10 && ascii(0, 3) === "GIF") {
+    return { mime_type: "image/gif", width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+  }
+  if (data.length >= 30 && ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+    const chunk = ascii(12, 16);
+    const webp = (width, height) => ({ mime_type: "image/webp", width, height });
+    if (chunk === "VP8X") return webp(1 + data.readUIntLE(24, 3), 1 + data.readUIntLE(27, 3));
+    if (chunk === "VP8L") {
+      const bits = data.readUInt32LE(21);
+      return webp(1 + (bits & 0x3fff), 1 + ((bits >> 14) & 0x3fff));
+    }
+    if (chunk === "VP8 ") return webp(data.readUInt16LE(26) & 0x3fff, data.readUInt16LE(28) & 0x3fff);
+    return null;
+  }
+  if (data.length >= 4 && data[0] === 0xff && data[1] === 0xd8) {
+    // Walk the segments up to the first start-of-frame marker.
+    let i = 2;
+    while (i + 9 <= data.length) {
+      if (data[i] !== 0xff) return null;
+      const marker = data[i + 1];
+      if (marker === 0xff) {
+        i++;
+        continue;
+      }
+      const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isFrame) {
+        return { mime_type: "image/jpeg", width: data.readUInt16BE(i + 7), height: data.readUInt16BE(i + 5) };
+      }
+      i += 2 + data.readUInt16BE(i + 2);
+    }
+  }
+  return null;
+}
+
+// OpenAI's high-detail rule: fit within 2048×2048, scale the short side
+// down to 768, then 170 tokens per 512-pixel tile plus 85.
+function estimateImageTokens({ width, height }) {
+  if (!width || !height) return 85;
+  let scale = Math.min(1, 2048 / Math.max(width, height));
+  scale *= Math.min(1, 768 / (Math.min(width, height) * scale));
+  const tiles = Math.ceil((width * scale) / 512) * Math.ceil((height * scale) / 512);
+  return 85 + 170 * tiles;
+}
+
+// Reads an image file into a conversation part, enforcing IMAGE_MAX_BYTES
+// and IMAGE_MAX_DIMENSION.
+async function readImagePart(file, config) {
+  const info = await stat(file);
+  if (!info.isFile()) throw new Error(`${file} is not a file`);
+  if (info.size > config.IMAGE_MAX_BYTES) {
+    throw new Error(
+      `${file} is ${formatBytes(info.size)}; images are limited to ${formatBytes(config.IMAGE_MAX_BYTES)}`
+    );
+  }
+
+  const data = await _readFile(file);
+  const meta = imageInfo(data);
+  if (!meta) throw new Error(`${file} is not a PNG, JPEG, GIF or WebP image`);
+  if (Math.max(meta.width, meta.height) > config.IMAGE_MAX_DIMENSION) {
+    throw new Error(
+      `${file} is ${meta.width}×${meta.height}; images are limited to ${config.IMAGE_MAX_DIMENSION} pixels per side`
+    );
+  }
+
+  const hash = sha256(data);
+  cacheImage(hash, data);
+  return { type: "image", path: file, sha256: hash, ...meta, size: data.length };
+}
+
+// The bytes of an image part, or null if its file was moved, deleted or
+// changed since it was attached and it is no longer cached.
+async function loadImageData(part) {
+  let data = imageCache.get(part.sha256);
+  if (!data) {
+    data = await _readFile(part.path).catch(() => null);
+    if (!data || sha256(data) !== part.sha256) return null;
+  }
+  cacheImage(part.sha256, data);
+  return data;
+}
+
+// Copies `messages` with base64 `data` filled in on each image part; an
+// image that can no longer be read becomes a text note.
+async function withImageData(messages) {
+  const out = [];
+  for (const msg of messages) {
+    if (!Array.isArray(msg.content) || !msg.content.some((p) => p.type === "image")) {
+      out.push(msg);
+      continue;
+    }
+    const content = [];
+    for (const part of msg.content) {
+      if (part.type !== "image") {
+        content.push(part);
+        continue;
+      }
+      const data = await loadImageData(part);
+      content.push(
+        data
+          ? { ...part, data: data.toString("base64") }
+          : { type: "text", text: `[Image ${part.path} is no longer available: it was moved, deleted or changed]` }
+      );
+    }
+    out.push({ ...msg, content });
+  }
+  return out;
+}
+
+// Reads the images named by `@image` mentions in `text`; rejects if one
+// cannot be used.
+async function readImageMentions(text, config) {
+  const images = [];
+  for (const match of text.matchAll(IMAGE_MENTION_RE)) {
+    const file = resolveFromWorkspace(config, match[2] ?? match[3]);
+    try {
+      images.push(await readImagePart(file, config));
+    } catch (e) {
+      throw new Error(`Cannot attach @${match[2] ?? match[3]}: ${e.code === "ENOENT" ? "no such file" : e.message}`);
+    }
+  }
+  return images;
+}
+
+
+
+// Tool handlers receive the parsed arguments and a context with the calling
+// `agent`, its `config` and `resolvePath` (workspace-aware path resolution).
+
+async function set_time_out(args, { agent }) {
+  const { timer, error } = createTimer(args);
+  if (error) return { error };
+
+  const added = agent.addTimer(timer);
+  return { status: `Timer ${added.id} set for ${added.due}`, ...added };
+}
+
+async function cancel_timer({ id }, { agent }) {
+  if (!agent.cancelTimer(String(id))) {
+    return { error: `No timer "${id}"; call list_timers to see pending timers` };
+  }
+  return { status: `Timer ${id} cancelled` };
+}
+
+async function list_timers(_args, { agent }) {
+  return { timers: agent.listTimers(), now: new Date().toISOString() };
+}
+
+async function view_image({ path: filePath }, { agent, resolvePath }) {
+  try {
+    const image = await readImagePart(await resolvePath(filePath), agent.config);
+    agent.toolImages.push(image);
+    const { mime_type, width, height, size } = image;
+    return {
+      status: "The image follows the tool results",
+      path: image.path,
+      mime_type,
+      width,
+      height,
+      size,
+    };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+async function read_file(
+  { path: filePath, start_line = 0, end_line },
+  { resolvePath }
+) {
+  try {
+    const resolved = await resolvePath(filePath);
+    const data = await _readFile(resolved, { encoding: "utf8" });
+    const lines = data.split(/\r?\n/);
+    const s = Math.max(0, typeof start_line === "number" ? start_line : 0);
+    const e =
+      typeof end_line === "undefined"
+        ? lines.length
+        : Math.min(
+            lines.length,
+            typeof end_line === "number" ? end_line : lines.length
+          );
+    const selected = lines.slice(s, e).join("\n");
+    return {
+      content: selected,
+      total_lines: lines.length,
+      returned_lines: e - s,
+    };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+async function write_file(
+  { path: filePath, content = "", encoding = "utf8", append = false },
+  { agent, resolvePath }
+) {
+  try {
+    const resolved = await resolvePath(filePath, { write: true });
+    await agent.checkpointFile(resolved);
+    const before = await readForDiff(resolved);
+    const flag = append ? "a" : "w";
+    await _writeFile(resolved, content, { flag, encoding });
+    agent.reportDiff(resolved, before, await readForDiff(resolved));
+    return {
+      status: "success",
+      bytes_written: Buffer.byteLength(content, encoding),
+    };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+async function edit_file(
+  { path: filePath, find = "", replace = "", expected_replacements },
+  { agent, resolvePath }
+) {
+  try {
+    if (!find) {
+      return { error: "'find' must be a non-empty string" };
+    }
+    // Models sometimes send the count as a string such as "1".
+    let expected = expected_replacements ?? null;
+    if (typeof expected === "string" && expected.trim() !== "") expected = Number(expected);
+    if (expected !== null && !(Number.isInteger(expected) && expected >= 0)) {
+      return { error: "'expected_replacements' must be a non-negative integer" };
+    }
+
+    const resolved = await resolvePath(filePath, { write: true });
+    const oldContent = await _readFile(resolved, { encoding: "utf8" });
+
+    const regex = new RegExp(escapeRegex(find), "g");
+    const matches = oldContent.match(regex);
+    const count = matches ? matches.length : 0;
+
+    if (count === 0) {
+      return {
+        status: "no_match",
+        replacements: 0,
+        message: "String not found in file",
+      };
+    }
+
+    if (expected !== null && count !== expected) {
+      return {
+        error: `Expected ${expected} replacement(s) but 'find' occurs ${count} time(s); file left unchanged. Include more surrounding text to target one occurrence.`,
+      };
+    }
+
+    const newContent = oldContent.split(find).join(replace);
+    await agent.checkpointFile(resolved);
+    await _writeFile(resolved, newContent, { encoding: "utf8" });
+    agent.reportDiff(resolved, oldContent, newContent);
+
+    return { status: "edited", replacements: count };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+// All hunks of all files are checked before anything is written, so a patch
+// applies completely or not at all.
+async function apply_patch({ patch = "" }, { agent, resolvePath }) {
+  let files;
+  try {
+    files = parsePatch(String(patch));
+  } catch (e) {
+    return { error: `Invalid patch: ${e.message}` };
+  }
+
+  try {
+    const planned = [];
+    const failures = [];
+    const seen = new Set();
+
+    for (const f of files) {
+      const oldFile = f.oldPath && (await resolvePath(f.oldPath, { write: true }));
+      const newFile = f.newPath && (await resolvePath(f.newPath, { write: true }));
+      const label = f.newPath ?? f.oldPath;
+
+      // Each diff is applied to the file as it was, so a second one for the
+      // same path would silently undo the first.
+      if ([oldFile, newFile].some((file) => file && seen.has(file))) {
+        failures.push({ path: label, reason: "file appears more than once in the patch; put all its hunks in one diff" });
+        continue;
+      }
+      for (const file of [oldFile, newFile]) if (file) seen.add(file);
+
+      let content = "";
+      if (oldFile) {
+        try {
+          content = await _readFile(oldFile, { encoding: "utf8" });
+        } catch (e) {
+          failures.push({ path: label, reason: e.code === "ENOENT" ? "file not found" : e.message });
+          continue;
+        }
+      } else if (await access(newFile).then(() => true, () => false)) {
+        failures.push({ path: label, reason: "file already exists" });
+        continue;
+      }
+      if (oldFile && newFile && oldFile !== newFile) {
+        if (await access(newFile).then(() => true, () => false)) {
+          failures.push({ path: label, reason: "rename target already exists" });
+          continue;
+        }
+      }
+
+      const result = applyHunks(content, f.hunks);
+      for (const failure of result.failures) failures.push({ path: label, ...failure });
+      planned.push({ oldFile, newFile, label, before: content, after: result.content, hunks: result.applied });
+    }
+
+    if (failures.length > 0) {
+      return { error: "Patch did not apply; no files were changed", failures };
+    }
+
+    const changed = [];
+    for (const { oldFile, newFile, label, before, after, hunks } of planned) {
+      if (oldFile) await agent.checkpointFile(oldFile);
+      if (newFile && newFile !== oldFile) await agent.checkpointFile(newFile);
+
+      let action;
+      if (newFile) await mkdir(path.dirname(newFile), { recursive: true });
+      if (!newFile) {
+        await unlink(oldFile);
+        action = "deleted";
+      } else {
+        await _writeFile(newFile, after, { encoding: "utf8" });
+        if (!oldFile) action = "created";
+        else if (oldFile !== newFile) {
+          await unlink(oldFile);
+          action = "renamed";
+        } else action = "modified";
+      }
+
+      agent.reportDiff(oldFile ?? newFile, oldFile ? before : null, newFile ? after : null, newFile);
+      changed.push({ path: label, action, hunks });
+    }
+
+    return { status: "applied", files: changed };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+async function list_directory(
+  { path: dirPath = ".", depth = 1, include_hidden = false, respect_gitignore = true, offset, limit },
+  { config, resolvePath }
+) {
+  try {
+    const resolved = await resolvePath(dirPath);
+    const state = {};
+    const entries = [];
+    const walk = walkTree(
+      resolved,
+      {
+        depth: Math.max(1, depth),
+        hidden: include_hidden,
+        gitignore: respect_gitignore,
+        top: await ignoreRoot(config),
+      },
+      state
+    );
+    for await (const { full, rel, type } of walk) {
+      const entry = { path: displayPath(dirPath, rel), type };
+      if (type === "file") entry.size = (await stat(full).catch(() => null))?.size;
+      entries.push(entry);
+    }
+    const [page, info] = paginate(entries, offset, limit, state.capped);
+    return { entries: page, ...info };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+async function glob(
+  { pattern, path: dirPath = ".", include_hidden = false, respect_gitignore = true, offset, limit },
+  { config, resolvePath }
+) {
+  try {
+    if (typeof pattern !== "string" || !pattern) {
+      return { error: "'pattern' must be a non-empty string" };
+    }
+    const resolved = await resolvePath(dirPath);
+    const regex = new RegExp(`^${pathGlobToRegex(pattern)}$`);
+    const state = {};
+    const matches = [];
+    const walk = walkTree(
+      resolved,
+      { hidden: include_hidden, gitignore: respect_gitignore, top: await ignoreRoot(config) },
+      state
+    );
+    for await (const { rel, type } of walk) {
+      if (type !== "dir" && regex.test(rel)) matches.push(displayPath(dirPath, rel));
+    }
+    const [page, info] = paginate(matches, offset, limit, state.capped);
+    return { matches: page, ...info };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+// Matches the files in a worker thread, so a pattern that backtracks
+// without end can be stopped. Runs from its source text, so it may only use
+// its workerData.
+function grepWorker() {
+  const { readFileSync } = require("fs");
+  const { parentPort, workerData } = require("worker_threads");
+  const { pattern, flags, files, skip, limit, context, maxLine } = workerData;
+  const regex = new RegExp(pattern, flags);
+  const cut = (line) => (line.length <= maxLine ? line : line.slice(0, maxLine) + "...");
+  const matches = [];
+  let seen = 0;
+
+  search: for (const file of files) {
+    let data;
+    try {
+      data = readFileSync(file.full);
+    } catch (_) {
+      continue;
+    }
+    if (data.subarray(0, 8000).includes(0)) continue;
+
+    const lines = data.toString("utf8").split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      if (!regex.test(lines[i])) continue;
+      if (seen++ < skip) continue;
+      if (matches.length === limit) break search;
+
+      const match = { path: file.shown, line: i + 1, text: cut(lines[i]) };
+      if (context > 0) {
+        match.before = lines.slice(Math.max(0, i - context), i).map(cut);
+        match.after = lines.slice(i + 1, i + 1 + context).map(cut);
+      }
+      matches.push(match);
+    }
+  }
+  parentPort.postMessage({ matches, seen });
+}
+
+// Resolves with grepWorker's result; rejects once `timeout` ms pass or
+// `signal` aborts, ending the worker.
+function runGrepWorker(workerData, timeout, signal) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(`(${grepWorker})()`, { eval: true, workerData });
+    const finish = (error, result) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      worker.terminate();
+      if (error) reject(error);
+      else resolve(result);
+    };
+    const timer = setTimeout(
+      () => finish(new Error(`Search timed out after ${timeout}ms; simplify the pattern or narrow the path`)),
+      timeout
+    );
+    const onAbort = () => finish(new Error("Interrupted by user"));
+    worker.once("message", (result) => finish(null, result));
+    worker.once("error", (e) => finish(e));
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+async function grep(
+  {
+    pattern,
+    path: searchPath = ".",
+    glob: fileGlob,
+    case_insensitive = false,
+    context = 0,
+    max_results = 100,
+    offset = 0,
+    include_hidden = false,
+    respect_gitignore = true,
+  },
+  { config, resolvePath, signal }
+) {
+  const flags = case_insensitive ? "i" : "";
+  try {
+    new RegExp(pattern, flags);
+  } catch (e) {
+    return { error: `Invalid regex: ${e.message}` };
+  }
+
+  try {
+    const resolved = await resolvePath(searchPath);
+    const info = await stat(resolved);
+    const fileRegex = fileGlob ? new RegExp(`(?:^|/)${pathGlobToRegex(fileGlob)}$`) : null;
+    const state = {};
+
+    const files = [];
+    if (info.isDirectory()) {
+      const walk = walkTree(
+        resolved,
+        { hidden: include_hidden, gitignore: respect_gitignore, top: await ignoreRoot(config) },
+        state
+      );
+      for await (const { full, rel, type } of walk) {
+        if (type === "file" && (!fileRegex || fileRegex.test(rel))) {
+          files.push({ full, shown: displayPath(searchPath, rel) });
+        }
+      }
+    } else {
+      files.push({ full: resolved, shown: searchPath });
+    }
+
+    const skip = Math.max(0, offset);
+    const searchable = [];
+    let skipped = 0;
+    for (const file of files) {
+      const size = (await stat(file.full).catch(() => null))?.size ?? 0;
+      if (size > GREP_MAX_FILE_BYTES) skipped++;
+      else searchable.push(file);
+    }
+
+    const { matches, seen } = await runGrepWorker(
+      {
+        pattern,
+        flags,
+        files: searchable,
+        skip,
+        limit: Math.max(1, max_results),
+        context: Math.max(0, context),
+        maxLine: GREP_MAX_LINE,
+      },
+      config?.TOOL_TIMEOUT ?? DEFAULTS.TOOL_TIMEOUT,
+      signal
+    );
+
+    const result = {
+      matches,
+      offset: skip,
+      next_offset: seen > skip + matches.length ? skip + matches.length : null,
+      files_searched: files.length,
+    };
+    if (skipped > 0) result.skipped_large_files = skipped;
+    if (state.capped) result.note = `Stopped after ${WALK_MAX_ENTRIES} entries; narrow the path or glob`;
+    return result;
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+async function stat_tool({ path: filePath }, { resolvePath }) {
+  try {
+    const resolved = await resolvePath(filePath, { follow: false });
+    const info = await lstat(resolved);
+    const result = {
+      path: filePath,
+      type: info.isDirectory() ? "dir" : info.isSymbolicLink() ? "symlink" : info.isFile() ? "file" : "other",
+      size: info.size,
+      mode: (info.mode & 0o7777).toString(8),
+      modified: info.mtime.toISOString(),
+      created: info.birthtime.toISOString(),
+    };
+    if (info.isSymbolicLink()) result.target = await readlink(resolved);
+    return result;
+  } catch (e) {
+    return e.code === "ENOENT" ? { path: filePath, exists: false } : { error: e.message };
+  }
+}
+
+async function move_file(
+  { source, destination, overwrite = false },
+  { agent, resolvePath }
+) {
+  try {
+    const from = await resolvePath(source, { write: true, follow: false });
+    const to = await resolvePath(destination, { write: true, follow: false });
+
+    const info = await lstat(from);
+    if (info.isDirectory()) {
+      return { error: "move_file moves files; use exec_shell to move a directory" };
+    }
+    if (!overwrite && (await lstat(to).then(() => true, () => false))) {
+      return { error: `Destination "${destination}" exists; pass overwrite:true to replace it` };
+    }
+
+    await agent.checkpointFile(from);
+    await agent.checkpointFile(to);
+    const content = await readForDiff(from);
+    await mkdir(path.dirname(to), { recursive: true });
+    try {
+      await rename(from, to);
+    } catch (e) {
+      if (e.code !== "EXDEV") throw e;
+      await copyFile(from, to);
+      await unlink(from);
+    }
+    agent.reportDiff(from, content, content, to);
+    return { status: "moved", source, destination };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+async function delete_file({ path: filePath }, { agent, resolvePath }) {
+  try {
+    const resolved = await resolvePath(filePath, { write: true, follow: false });
+    const info = await lstat(resolved);
+    if (info.isDirectory()) {
+      return { error: "delete_file deletes files; use exec_shell to remove a directory" };
+    }
+    await agent.checkpointFile(resolved);
+    const content = await readForDiff(resolved);
+    await unlink(resolved);
+    agent.reportDiff(resolved, content, null);
+    return { status: "deleted", path: filePath };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+async function exec_shell({ command }, { config, signal }) {
+  try {
+    const { stdout, stderr } = await execAsync(command, {
+      maxBuffer: DEFAULTS.MAX_BUFFER,
+      timeout: config.TOOL_TIMEOUT,
+      cwd: config.WORKSPACE ?? undefined,
+      signal,
+    });
+    return { stdout, stderr, code: 0 };
+  } catch (e) {
+    if (e.killed) {
+      return {
+        error: `Command timed out after ${config.TOOL_TIMEOUT}ms`,
+        stdout: e.stdout ?? "",
+        stderr: e.stderr ?? "",
+        code: -1,
+      };
+    }
+    return {
+      error: e.message,
+      stdout: e.stdout ?? "",
+      stderr: e.stderr ?? "",
+      code: typeof e.code === "number" ? e.code : -1,
+    };
+  }
+}
+
+async function start_process({ command }, { agent }) {
+  if (!command || typeof command !== "string") {
+    return { error: "`command` must be a non-empty string" };
+  }
+  try {
+    return jobSummary(startJob(agent, command));
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+// Returns what each stream printed since the last read. With wait_ms, waits
+// that long for output or exit when there is nothing new yet.
+async function read_process_output(
+  { id, wait_ms = 0, max_chars = JOB_READ_CHARS },
+  { agent, config }
+) {
+  const job = getJob(agent, id);
+  if (!job) return { error: `No process "${id}"; call list_processes to see them` };
+
+  const unread = () => job.stdout.text.length + job.stderr.text.length;
+  if (wait_ms > 0 && unread() === 0 && job.status === "running") {
+    await waitForJob(job, Math.min(wait_ms, config.TOOL_TIMEOUT));
+  }
+
+  // Each stream gets half of max_chars, plus whatever the other leaves over.
+  const max = Math.max(1, max_chars);
+  const outMax = Math.max(Math.ceil(max / 2), max - job.stderr.text.length);
+  const [stdout, droppedOut] = takeJobOutput(job.stdout, outMax);
+  const [stderr, droppedErr] = takeJobOutput(job.stderr, max - stdout.length);
+
+  const { unread: _, ...summary } = jobSummary(job);
+  const result = { ...summary, stdout, stderr };
+  if (droppedOut + droppedErr > 0) {
+    result.dropped_chars = droppedOut + droppedErr;
+    result.note = `Output was produced faster than it was read; ${result.dropped_chars} older character(s) were discarded`;
+  }
+  result.more = unread() > 0;
+  return result;
+}
+
+async function write_process_stdin({ id, input = "", eof = false }, { agent }) {
+  const job = getJob(agent, id);
+  if (!job) return { error: `No process "${id}"; call list_processes to see them` };
+  if (job.status !== "running" || !job.child?.stdin.writable) {
+    return { error: `Process ${id} is not accepting input (${job.status})` };
+  }
+
+  job.child.stdin.write(String(input));
+  if (eof) job.child.stdin.end();
+  return { status: eof ? "written, stdin closed" : "written", chars: String(input).length };
+}
+
+async function kill_process({ id, signal = "SIGTERM" }, { agent }) {
+  const job = getJob(agent, id);
+  if (!job) return { error: `No process "${id}"; call list_processes to see them` };
+  if (!os.constants.signals[signal]) return { error: `Unknown signal: ${signal}` };
+  if (job.status !== "running") {
+    return { error: `Process ${id} is not running (${job.status})`, ...jobSummary(job) };
+  }
+
+  killJob(job, signal);
+  const deadline = Date.now() + 2000;
+  while (job.status === "running" && Date.now() < deadline) {
+    await waitForJob(job, deadline - Date.now());
+  }
+  return jobSummary(job);
+}
+
+async function list_processes(_args, { agent }) {
+  return {
+    processes: [...jobs.values()].filter((j) => j.owner === agent).map(jobSummary),
+  };
+}
+
+
+
+const BUILTIN_TOOLS = [
+  {
+    name: "set_time_out",
+    description:
+      "Schedule a wake-up for the assistant: after `time` ms, at an absolute `at` time, repeating `every` ms, or on a `cron` schedule. The wake-up message names the timer and repeats its note, so use the note for what to do then. Timers are saved with the conversation and survive restarts.",
+    parameters: {
+      type: "object",
+      properties: {
+        time: { type: "number", description: "delay in ms" },
+        at: { type: "string", description: "ISO 8601 date-time to fire at" },
+        every: {
+          type: "number",
+          description: "repeat interval in ms (first run after `time`/`at`, or after one interval)",
+        },
+        cron: {
+          type: "string",
+          description: 'cron expression in local time, e.g. "0 9 * * mon-fri" or "@hourly"',
+        },
+        note: { type: "string", description: "reason or instruction shown when the timer fires" },
+      },
+      additionalProperties: false,
+    },
+    handler: set_time_out,
+  },
+  {
+    name: "cancel_timer",
+    description: "Cancel a pending or repeating timer by its id.",
+    parameters: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "timer id, e.g. t1" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+    handler: cancel_timer,
+  },
+  {
+    name: "list_timers",
+    description: "List pending timers with their id, note, next due time and schedule.",
+    parameters: {
+      type: "object",
+      properties: {},
+      additionalProperties: false,
+    },
+    readOnly: true,
+    handler: list_timers,
+  },
+  {
+    name: "read_file",
+    description:
+      "Read a text file and return its contents. Optional start_line (0-based) and end_line (exclusive).",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "File system path" },
+        start_line: {
+          type: "integer",
+          description: "Start line index (0-based)",
+        },
+        end_line: {
+          type: "integer",
+          description: "End line index (exclusive)",
+        },
+      },
+      required: ["path"],
+      additionalProperties: false,
+    },
+    readOnly: true,
+    handler: read_file,
+  },
+  {
+    name: "view_image",
+    description:
+      "Look at an image file (PNG, JPEG, GIF or WebP). The image is added to the conversation right after the tool results.",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "File system path" },
+      },
+      required: ["path"],
+      additionalProperties: false,
+    },
+    readOnly: true,
+    handler: view_image,
+  },
+  {
+    name: "write_file",
+    description:
+      "Write text to a file. By default it overwrites; use `append:true` to append.",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "File system path" },
+        content: { type: "string", description: "Text to write" },
+        encoding: {
+          type: "string",
+          enum: ["utf8", "ascii", "base64"],
+          default: "utf8",
+        },
+        append: {
+          type: "boolean",
+          description: "Append instead of overwrite",
+          default: false,
+        },
+      },
+      required: ["path"],
+      additionalProperties: false,
+    },
+    handler: write_file,
+  },
+  {
+    name: "edit_file",
+    description:
+      "Find-and-replace in a file. Replaces all occurrences and returns the count. Set expected_replacements to refuse the edit when the count differs.",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "File system path" },
+        find: { type: "string", description: "String to find (exact match)" },
+        replace: { type: "string", description: "Replacement string" },
+        expected_replacements: {
+          type: "integer",
+          description: "Required number of occurrences (e.g. 1 to edit a single spot)",
+        },
+      },
+      required: ["path", "find", "replace"],
+      additionalProperties: false,
+    },
+    handler: edit_file,
+  },
+  {
+    name: "apply_patch",
+    description:
+      "Apply a unified diff to one or more files. Supports creating (--- /dev/null), deleting (+++ /dev/null) and renaming files. Context is matched loosely, and if any hunk fails nothing is changed and each failing hunk is reported.",
+    parameters: {
+      type: "object",
+      properties: {
+        patch: { type: "string", description: "Unified diff text" },
+      },
+      required: ["patch"],
+      additionalProperties: false,
+    },
+    handler: apply_patch,
+  },
+  {
+    name: "list_directory",
+    description:
+      "List a directory as JSON entries (path, type, size). Recurses up to `depth` levels, skips hidden and .gitignored entries by default, and pages with offset/limit.",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Directory (default: current)" },
+        depth: { type: "integer", description: "Levels to descend (default 1)" },
+        include_hidden: { type: "boolean", default: false },
+        respect_gitignore: { type: "boolean", default: true },
+        offset: { type: "integer", description: "Entries to skip (from next_offset)" },
+        limit: { type: "integer", description: `Max entries (default ${PAGE_SIZE})` },
+      },
+      additionalProperties: false,
+    },
+    readOnly: true,
+    handler: list_directory,
+  },
+  {
+    name: "glob",
+    description:
+      "Find files whose path (relative to `path`) matches a glob such as `src/**/*.ts`. `*` stays within a directory, `**` crosses directories.",
+    parameters: {
+      type: "object",
+      properties: {
+        pattern: { type: "string", description: "Glob pattern" },
+        path: { type: "string", description: "Directory to search (default: current)" },
+        include_hidden: { type: "boolean", default: false },
+        respect_gitignore: { type: "boolean", default: true },
+        offset: { type: "integer", description: "Matches to skip (from next_offset)" },
+        limit: { type: "integer", description: `Max matches (default ${PAGE_SIZE})` },
+      },
+      required: ["pattern"],
+      additionalProperties: false,
+    },
+    readOnly: true,
+    handler: glob,
+  },
+  {
+    name: "grep",
+    description:
+      "Search file contents with a JavaScript regex. Returns matching lines with path and line number, optional context lines, and pages with offset/max_results. Binary and very large files are skipped.",
+    parameters: {
+      type: "object",
+      properties: {
+        pattern: { type: "string", description: "Regular expression" },
+        path: { type: "string", description: "File or directory (default: current)" },
+        glob: { type: "string", description: "Only search files matching this glob, e.g. *.js" },
+        case_insensitive: { type: "boolean", default: false },
+        context: { type: "integer", description: "Lines of context before and after" },
+        max_results: { type: "integer", description: "Max matches (default 100)" },
+        offset: { type: "integer", description: "Matches to skip (from next_offset)" },
+        include_hidden: { type: "boolean", default: false },
+        respect_gitignore: { type: "boolean", default: true },
+      },
+      required: ["pattern"],
+      additionalProperties: false,
+    },
+    readOnly: true,
+    handler: grep,
+  },
+  {
+    name: "stat",
+    description:
+      "Get type, size, permissions and timestamps of a path (symlinks are not followed). Returns exists:false for missing paths.",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "File system path" },
+      },
+      required: ["path"],
+      additionalProperties: false,
+    },
+    readOnly: true,
+    handler: stat_tool,
+  },
+  {
+    name: "move_file",
+    description:
+      "Move or rename a file, creating the destination directory if needed. Fails if the destination exists unless overwrite is true.",
+    parameters: {
+      type: "object",
+      properties: {
+        source: { type: "string", description: "File to move" },
+        destination: { type: "string", description: "New path" },
+        overwrite: { type: "boolean", default: false },
+      },
+      required: ["source", "destination"],
+      additionalProperties: false,
+    },
+    handler: move_file,
+  },
+  {
+    name: "delete_file",
+    description: "Delete a file or symlink. Directories are refused.",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "File system path" },
+      },
+      required: ["path"],
+      additionalProperties: false,
+    },
+    handler: delete_file,
+  },
+  {
+    name: "exec_shell",
+    description: `Execute a shell command. Returns stdout, stderr, exit code. Timeout: ${DEFAULTS.TOOL_TIMEOUT}ms. Use start_process for servers, watchers and long builds.`,
+    parameters: {
+      type: "object",
+      properties: {
+        command: { type: "string", description: "Shell command to execute" },
+      },
+      required: ["command"],
+      additionalProperties: false,
+    },
+    handler: exec_shell,
+  },
+  {
+    name: "start_process",
+    description:
+      "Start a shell command in the background and return its job id right away. Use for dev servers, watchers and long builds; collect output with read_process_output (set_time_out can wake you to check back).",
+    parameters: {
+      type: "object",
+      properties: {
+        command: { type: "string", description: "Shell command to run" },
+      },
+      required: ["command"],
+      additionalProperties: false,
+    },
+    handler: start_process,
+  },
+  {
+    name: "read_process_output",
+    description:
+      "Read the stdout and stderr a background process produced since the last read, plus its status and exit code. `more` is true when output is left for the next read.",
+    parameters: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "Job id from start_process, e.g. p1" },
+        wait_ms: {
+          type: "integer",
+          description: "If nothing is new yet, wait up to this long for output or exit (default 0)",
+        },
+        max_chars: { type: "integer", description: `Max characters returned (default ${JOB_READ_CHARS})` },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+    handler: read_process_output,
+  },
+  {
+    name: "write_process_stdin",
+    description: "Write text to a background process's stdin. Include \"\\n\" to submit a line; eof closes stdin.",
+    parameters: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "Job id" },
+        input: { type: "string", description: "Text to write" },
+        eof: { type: "boolean", default: false },
+      },
+      required: ["id", "input"],
+      additionalProperties: false,
+    },
+    handler: write_process_stdin,
+  },
+  {
+    name: "kill_process",
+    description:
+      "Send a signal (default SIGTERM) to a background process and everything it started, then report its status.",
+    parameters: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "Job id" },
+        signal: { type: "string", description: "e.g. SIGTERM, SIGINT, SIGKILL" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+    handler: kill_process,
+  },
+  {
+    name: "list_processes",
+    description: "List background processes with their status, exit code and unread output size.",
+    parameters: {
+      type: "object",
+      properties: {},
+      additionalProperties: false,
+    },
+    readOnly: true,
+    handler: list_processes,
+  },
+];
+
+
+
+const TOOL_NAME_RE = /^[a-zA-Z0-9_-]{1,64}$/;
+
+function validateToolDef(def) {
+  if (!def || typeof def.name !== "string" || !TOOL_NAME_RE.test(def.name)) {
+    throw new Error(`invalid tool name ${JSON.stringify(def?.name)}`);
+  }
+  if (typeof def.handler !== "function") {
+    throw new Error(`tool "${def.name}" has no handler function`);
+  }
+}
+
+const COMMAND_NAME_RE = /^[a-z][a-z0-9_-]{0,31}$/;
+
+function validateCommandDef(def) {
+  if (typeof def.name !== "string" || !COMMAND_NAME_RE.test(def.name)) {
+    throw new Error(`invalid command name ${JSON.stringify(def.name)}`);
+  }
+}
+
+async function importToolModule(file) {
+  if (file.endsWith(".mjs")) {
+    const mod = await import(pathToFileURL(file).href);
+    return mod.default ?? mod;
+  }
+  return require(file);
+}
+
+const PROJECT_PLUGIN_DIR = path.join(".emagent", "tools");
+
+// `file` (relative to the project) if the project is trusted; a checked-out
+// repository must not get to run its code just by being the working
+// directory.
+function trustedProjectFile(config, file) {
+  if (config.TRUST_PROJECT) return [file];
+  if (existsSync(file)) {
+    console.error(`⚠️  Not loading ${file}: this project is not trusted (see --trust-project)`);
+  }
+  return [];
+}
+
+// Returns the definitions exported by modules in `config.PLUGIN_DIRS` (and
+// ./.emagent/tools in a trusted project): tools, and slash commands
+// (definitions with a `run` function instead of a `handler`). Modules that
+// fail to load are reported and skipped.
+async function loadPlugins(config) {
+  const tools = [];
+  const commands = [];
+
+  for (const dir of [...config.PLUGIN_DIRS, ...trustedProjectFile(config, PROJECT_PLUGIN_DIR)]) {
+    const absDir = path.resolve(dir);
+    let entries;
+    try {
+      entries = await readdir(absDir);
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        console.error(`⚠️  Failed to read tools directory ${absDir}: ${e.message}`);
+      }
+      continue;
+    }
+
+    for (const entry of entries.sort()) {
+      if (!/\.(c|m)?js$/.test(entry)) continue;
+      const file = path.join(absDir, entry);
+      try {
+        const exported = await importToolModule(file);
+        const defs = (Array.isArray(exported) ? exported : [exported]).map((def) => ({
+          ...def,
+          source: file,
+        }));
+        const isCommand = (def) => typeof def.run === "function" && !def.handler;
+        defs.filter(isCommand).forEach(validateCommandDef);
+        defs.filter((def) => !isCommand(def)).forEach(validateToolDef);
+        for (const def of defs) (isCommand(def) ? commands : tools).push(def);
+      } catch (e) {
+        console.error(`⚠️  Failed to load tool ${file}: ${e.message}`);
+      }
+    }
+  }
+
+  return { tools, commands };
+}
+
+async function loadPluginTools(config) {
+  return (await loadPlugins(config)).tools;
+}
+
+
+
+const mcpServers = new Map();
+const mcpTools = new Map();
+
+// Tool names may only use [a-zA-Z0-9_-] and 64 characters. A name that is
+// too long, or that another server's tool already took once sanitized, gets
+// a short hash of the original pair so neither tool replaces the other.
+function mcpToolName(server, tool) {
+  const name = `${server}__${tool}`.replace(/[^a-zA-Z0-9_-]/g, "_");
+  const taken = mcpTools.get(name);
+  if (name.length <= 64 && (!taken || (taken.server === server && taken.tool === tool))) {
+    return name;
+  }
+  const hash = createHash("sha256").update(`${server}\0${tool}`).digest("hex");
+  return `${name.slice(0, 55)}_${hash.slice(0, 8)}`;
+}
+
+async function loadMcpConfig(files) {
+  const servers = {};
+  for (const file of files) {
+    let data;
+    try {
+      data = await _readFile(path.resolve(file), { encoding: "utf8" });
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        console.error(`⚠️  Failed to read MCP config ${file}: ${e.message}`);
+      }
+      continue;
+    }
+    try {
+      Object.assign(servers, JSON.parse(data).mcpServers ?? {});
+    } catch (e) {
+      console.error(`⚠️  Invalid MCP config ${file}: ${e.message}`);
+    }
+  }
+  return servers;
+}
+
+function mcpSend(server, message) {
+  if (!server.child?.stdin.writable) {
+    throw new Error(`MCP server "${server.name}" is not running`);
+  }
+  server.child.stdin.write(JSON.stringify({ jsonrpc: "2.0", ...message }) + "\n");
+}
+
+// An aborted `signal` cancels the request on the server and rejects.
+function mcpRequest(server, method, params, signal) {
+  return new Promise((resolve, reject) => {
+    const id = server.nextId++;
+    const timer = setTimeout(() => {
+      server.pending.delete(id);
+      reject(new Error(`MCP ${method} timed out after ${server.timeout}ms`));
+    }, server.timeout);
+
+    const onAbort = () => {
+      if (!server.pending.delete(id)) return;
+      clearTimeout(timer);
+      try {
+        mcpSend(server, {
+          method: "notifications/cancelled",
+          params: { requestId: id, reason: "Interrupted by user" },
+        });
+      } catch (_) {
+        // The server is gone; nothing to cancel
+      }
+      reject(new Error("Interrupted by user"));
+    };
+    const settle = (fn) => (value) => {
+      signal?.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+    server.pending.set(id, { resolve: settle(resolve), reject: settle(reject), timer });
+    try {
+      mcpSend(server, { id, method, params });
+    } catch (e) {
+      clearTimeout(timer);
+      server.pending.delete(id);
+      reject(e);
+      return;
+    }
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function handleMcpMessage(server, msg) {
+  if (msg.id !== undefined && server.pending.has(msg.id) && !msg.method) {
+    const { resolve, reject, timer } = server.pending.get(msg.id);
+    clearTimeout(timer);
+    server.pending.delete(msg.id);
+    if (msg.error) {
+      reject(new Error(msg.error.message ?? JSON.stringify(msg.error)));
+    } else {
+      resolve(msg.result ?? {});
+    }
+    return;
+  }
+
+  // Requests from the server: we only answer ping.
+  if (msg.method && msg.id !== undefined) {
+    if (msg.method === "ping") {
+      mcpSend(server, { id: msg.id, result: {} });
+    } else {
+      mcpSend(server, {
+        id: msg.id,
+        error: { code: -32601, message: `Method not found: ${msg.method}` },
+      });
+    }
+    return;
+  }
+
+  if (msg.method === "notifications/tools/list_changed") {
+    refreshMcpTools(server).catch((e) => {
+      console.error(`⚠️  MCP ${server.name}: failed to refresh tools: ${e.message}`);
+    });
+  }
+}
+
+async function refreshMcpTools(server) {
+  const tools = [];
+  let cursor;
+  do {
+    const res = await mcpRequest(server, "tools/list", cursor ? { cursor } : {});
+    tools.push(...(res.tools ?? []));
+    cursor = res.nextCursor;
+  } while (cursor);
+
+  for (const [name, entry] of mcpTools) {
+    if (entry.server === server.name) mcpTools.delete(name);
+  }
+  for (const tool of tools) {
+    mcpTools.set(mcpToolName(server.name, tool.name), {
+      server: server.name,
+      tool: tool.name,
+      description: tool.description ?? "",
+      inputSchema: tool.inputSchema ?? { type: "object", properties: {} },
+      readOnly: tool.annotations?.readOnlyHint === true,
+    });
+  }
+  server.tools = tools.map((t) => t.name);
+}
+
+async function startMcpServer(server) {
+  const { command, args = [], env = {}, cwd } = server.config;
+  server.status = "starting";
+  server.error = null;
+  server.pending = new Map();
+  server.nextId = 1;
+
+  const child = spawn(command, args, {
+    cwd,
+    env: { ...process.env, ...env },
+    stdio: ["pipe", "pipe", "pipe"],
+    shell: process.platform === "win32",
+  });
+  server.child = child;
+  child.stdin.on("error", () => {});
+
+  let buffer = "";
+  child.stdout.setEncoding("utf8");
+  child.stdout.on("data", (data) => {
+    buffer += data;
+    const lines = buffer.split("\n");
+    buffer = lines.pop() ?? "";
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        handleMcpMessage(server, JSON.parse(line));
+      } catch (_) {
+        // Ignore non-JSON output from misbehaving servers.
+      }
+    }
+  });
+
+  child.stderr.setEncoding("utf8");
+  child.stderr.on("data", (data) => {
+    server.stderrTail = (server.stderrTail + data).slice(-2000);
+  });
+
+  const exited = new Promise((resolve) => {
+    child.on("error", (e) => {
+      server.error = e.message;
+      resolve();
+    });
+    child.on("exit", (code, signal) => {
+      server.error ??= `exited with ${signal ?? `code ${code}`}`;
+      resolve();
+    });
+  });
+
+  exited.then(() => {
+    server.child = null;
+    for (const { reject, timer } of server.pending.values()) {
+      clearTimeout(timer);
+      reject(new Error(`MCP server "${server.name}" exited`));
+    }
+    server.pending.clear();
+    for (const [name, entry] of mcpTools) {
+      if (entry.server === server.name) mcpTools.delete(name);
+    }
+    if (server.status === "stopped") return;
+
+    server.status = "crashed";
+    // Only servers that came up at least once are restarted; a bad command
+    // or broken handshake is reported once instead of retried.
+    if (server.connectedOnce && server.restarts < server.maxRestarts) {
+      server.restarts++;
+      console.error(
+        `\n⚠️  MCP server "${server.name}" ${server.error}; restarting (${server.restarts}/${server.maxRestarts})`
+      );
+      setTimeout(() => {
+        if (server.status === "stopped") return;
+        connectMcpServer(server).catch((e) => {
+          console.error(`⚠️  MCP server "${server.name}" failed to restart: ${e.message}`);
+        });
+      }, server.restarts * DEFAULTS.RETRY_BACKOFF_MS);
+    }
+  });
+
+  const result = await mcpRequest(server, "initialize", {
+    protocolVersion: DEFAULTS.MCP_PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: { name: "emagent", version: require("./package.json").version },
+  });
+  server.serverInfo = result.serverInfo;
+  mcpSend(server, { method: "notifications/initialized" });
+
+  await refreshMcpTools(server);
+  server.status = "connected";
+  server.connectedOnce = true;
+}
+
+async function connectMcpServer(server) {
+  try {
+    await startMcpServer(server);
+  } catch (e) {
+    server.error ??= e.message;
+    server.status = server.status === "stopped" ? "stopped" : "failed";
+    server.child?.kill();
+    throw e;
+  }
+}
+
+const PROJECT_MCP_CONFIG = path.join(".emagent", "mcp.json");
+
+// Launches every server in `config.MCP_CONFIG` (after ./.emagent/mcp.json in
+// a trusted project, so the user's files win) and resolves with their names
+// once each one has connected or failed; see `mcpServers` for the outcome.
+// Servers are shared by the whole process, so one whose name is already
+// running is left to its owner and skipped.
+async function startMcpServers(config) {
+  const configs = await loadMcpConfig([
+    ...trustedProjectFile(config, PROJECT_MCP_CONFIG),
+    ...config.MCP_CONFIG,
+  ]);
+
+  const started = [];
+  await Promise.all(
+    Object.entries(configs).map(async ([name, serverConfig]) => {
+      if (serverConfig.disabled) return;
+      if (!serverConfig.command) {
+        console.error(`⚠️  MCP server "${name}" has no command`);
+        return;
+      }
+      if ((mcpServers.get(name)?.status ?? "stopped") !== "stopped") {
+        console.error(`⚠️  MCP server "${name}" is already running; skipped`);
+        return;
+      }
+
+      const server = {
+        name,
+        config: serverConfig,
+        timeout: config.TOOL_TIMEOUT,
+        maxRestarts: config.MCP_MAX_RESTARTS,
+        status: "starting",
+        tools: [],
+        restarts: 0,
+        connectedOnce: false,
+        stderrTail: "",
+        error: null,
+      };
+      mcpServers.set(name, server);
+      started.push(name);
+
+      try {
+        await connectMcpServer(server);
+      } catch (e) {
+        console.error(
+          `⚠️  MCP server "${name}" failed to start: ${server.error ?? e.message}`
+        );
+      }
+    })
+  );
+  return started;
+}
+
+// Stops every server, or only those named in `names`.
+function stopMcpServers(names = null) {
+  for (const server of mcpServers.values()) {
+    if (names && !names.includes(server.name)) continue;
+    server.status = "stopped";
+    if (server.child) {
+      server.child.stdin.end();
+      server.child.kill();
+    }
+  }
+}
+
+async function callMcpTool(name, args, signal) {
+  const entry = mcpTools.get(name);
+  const server = mcpServers.get(entry.server);
+  const res = await mcpRequest(
+    server,
+    "tools/call",
+    { name: entry.tool, arguments: args },
+    signal
+  );
+
+  const text = (res.content ?? [])
+    .map((c) => (c.type === "text" ? c.text : `[${c.type}${c.mimeType ? `: ${c.mimeType}` : ""}]`))
+    .join("\n");
+
+  if (res.isError) return { error: text || "MCP tool returned an error" };
+  return res.structuredContent
+    ? { content: text, structured: res.structuredContent }
+    : { content: text };
+}
+
+// Tool source for `EMAgent#addToolSource`: the tools of every connected
+// server, or only of those named in `names`.
+function getMcpToolDefs(names = null) {
+  const entries = [...mcpTools].filter(([, entry]) => !names || names.includes(entry.server));
+  return entries.map(([name, entry]) => ({
+    name,
+    description: `[${entry.server}] ${entry.description}`,
+    parameters: entry.inputSchema,
+    handler: (args, { signal }) => callMcpTool(name, args, signal),
+    readOnly: entry.readOnly,
+  }));
+}
+
+
+
+const PATH_TOOLS = new Set([
+  "read_file",
+  "view_image",
+  "write_file",
+  "edit_file",
+  "apply_patch",
+  "list_directory",
+  "glob",
+  "grep",
+  "stat",
+  "move_file",
+  "delete_file",
+]);
+
+function globToRegex(glob, pathMode) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*") {
+      if (glob[i + 1] === "*") {
+        re += ".*";
+        i++;
+      } else {
+        re += pathMode ? "[^/]*" : ".*";
+      }
+    } else if (c === "?") {
+      re += pathMode ? "[^/]" : ".";
+    } else {
+      re += escapeRegex(c);
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// A string, a list of paths (apply_patch) or null.
+function getPermissionTarget(config, name, args) {
+  if (name === "exec_shell" || name === "start_process") return String(args.command ?? "");
+  if (name === "write_process_stdin") return String(args.input ?? "");
+  if (name === "move_file") {
+    return [args.source, args.destination].map((p) => resolveFromWorkspace(config, p));
+  }
+  if (name === "apply_patch") {
+    try {
+      return patchPaths(parsePatch(String(args.patch ?? ""))).map((p) =>
+        resolveFromWorkspace(config, p)
+      );
+    } catch (_) {
+      return null;
+    }
+  }
+  if (PATH_TOOLS.has(name)) return resolveFromWorkspace(config, args.path);
+  return null;
+}
+
+const JOB_TOOLS = new Set(["read_process_output", "write_process_stdin", "kill_process"]);
+
+const SHELL_TOOLS = new Set(["exec_shell", "start_process"]);
+
+// Characters that chain, substitute or redirect commands in a shell.
+const SHELL_META_RE = /[;&|`$<>\n\r]/;
+
+// The command and each command chained inside it, so a deny rule also
+// catches `true && rm -rf ~`.
+function shellCommandTargets(command) {
+  const parts = command
+    .split(/&&|\|\||[;&|\n\r`]|\$\(|[()]/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+  return [command, ...parts];
+}
+
+// What a call touches, to decide which calls of a batch may overlap.
+// Read-only tools share their paths, other path tools and job tools own
+// theirs, and anything else (keys: null) runs alone.
+function toolCallScope(config, def, name, args) {
+  if (JOB_TOOLS.has(name)) return { exclusive: true, keys: [`job:${args.id}`] };
+  const target = PATH_TOOLS.has(name) ? getPermissionTarget(config, name, args) : null;
+  const keys = target === null ? null : [target].flat();
+  if (def.readOnly) return { exclusive: false, keys: keys ?? [] };
+  return { exclusive: true, keys };
+}
+
+function scopesConflict(a, b) {
+  if (!a.exclusive && !b.exclusive) return false;
+  if (a.keys === null || b.keys === null) return true;
+  const overlap = (x, y) =>
+    x === y || (path.isAbsolute(x) && path.isAbsolute(y) && (isWithin(x, y) || isWithin(y, x)));
+  return a.keys.some((x) => b.keys.some((y) => overlap(x, y)));
+}
+
+function matchesRule(config, rule, name, target) {
+  const sep = rule.indexOf(":");
+  const tool = sep === -1 ? rule : rule.slice(0, sep);
+  const pattern = sep === -1 ? "**" : rule.slice(sep + 1);
+
+  if (tool !== "*" && tool !== name) return false;
+  if (target === null) return pattern === "**" || pattern === "*";
+
+  const pathMode = PATH_TOOLS.has(name);
+  const glob = pathMode ? resolveFromWorkspace(config, pattern) : pattern;
+  return globToRegex(glob, pathMode).test(target);
+}
+
+
+
+function parseStreamChunk(rawLine) {
+  const trimmed = rawLine.trim();
+  if (!trimmed.startsWith("data:")) return null;
+  const data = trimmed.slice(5).trim();
+
+  if (data === "[DONE]") return { done: true };
+
+  try {
+    return JSON.parse(data);
+  } catch (_) {
+    return null;
+  }
+}
+
+async function* streamLines(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder(); 
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop() ?? "";
+
+    yield* lines;
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) yield buffer;
+}
+
+async function* streamChunks(res) {
+  for await (const raw of streamLines(res)) {
+    const chunk = parseStreamChunk(raw);
+    if (!chunk) continue;
+    yield chunk;
+  }
+}
+
+
+// Provider adapters. The conversation is always stored in the OpenAI chat
+// shape (except for image references, which carry base64 `data` by the time
+// an adapter sees them); each adapter converts it (and the tool list) to its
+// API's request format and turns the response stream into normalized deltas:
+//   { content } { reasoning } { reasoningSignature } { usage }
+//   { toolCall: { index, id?, function: { name?, arguments? } } }
+//   { done: true } once the response is known to be complete
+// Reasoning is kept on the assistant message it came with, as `reasoning`
+// (and `reasoning_signature` for Anthropic thinking blocks).
+
+const THINKING_RE = /^<thinking>([\s\S]*)<\/thinking>$/;
+const ANTHROPIC_VERSION = "2023-06-01";
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096;
+
+function parseToolArguments(args) {
+  try {
+    return JSON.parse(args || "{}");
+  } catch (_) {
+    return {};
+  }
+}
+
+// Text parts only for multimodal content; images are sent separately.
+function messageText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter((part) => part.type === "text")
+      .map((part) => part.text)
+      .join("\n\n");
+  }
+  return JSON.stringify(content ?? "");
+}
+
+// Older saves kept reasoning in separate "<thinking>" assistant messages
+// ahead of the answer; moves it onto the answer.
+function migrateReasoning(conversation) {
+  const out = [];
+  let pending = null;
+  for (const msg of conversation) {
+    const thinking =
+      msg.role === "assistant" && typeof msg.content === "string"
+        ? msg.content.match(THINKING_RE)
+        : null;
+    if (thinking) {
+      pending = pending
+        ? { text: `${pending.text}\n\n${thinking[1]}`, signature: null }
+        : { text: thinking[1], signature: msg.reasoning_signature };
+      continue;
+    }
+    if (pending && msg.role === "assistant" && !msg.reasoning) {
+      const merged = { ...msg, reasoning: pending.text };
+      if (pending.signature) merged.reasoning_signature = pending.signature;
+      out.push(merged);
+    } else {
+      out.push(msg);
+    }
+    pending = null;
+  }
+  return out;
+}
+
+// Drops reasoning the REASONING_HISTORY mode does not send: "last" keeps
+// only the current turn's (models continuing a tool loop may need it).
+function reasoningForPayload(messages, mode) {
+  if (mode === "all") return messages;
+  let start = messages.length;
+  if (mode === "last") {
+    start = messages.findLastIndex((m) => m.role === "user" && !m.tool_images);
+  }
+  return messages.map((msg, i) => {
+    if (i > start || !msg.reasoning) return msg;
+    const { reasoning, reasoning_signature, ...rest } = msg;
+    return rest;
+  });
+}
+
+function toOpenAIContent(content) {
+  if (!Array.isArray(content)) return content ?? null;
+  return content.map((part) =>
+    part.type === "image"
+      ? { type: "image_url", image_url: { url: `data:${part.mime_type};base64,${part.data}` } }
+      : part
+  );
+}
+
+function toOpenAIMessage(msg) {
+  const out = { role: msg.role, content: toOpenAIContent(msg.content) };
+  if (msg.reasoning) out.reasoning_content = msg.reasoning;
+  if (msg.tool_calls) out.tool_calls = msg.tool_calls;
+  if (msg.tool_call_id) out.tool_call_id = msg.tool_call_id;
+  if (msg.name) out.name = msg.name;
+  return out;
+}
+
+function toAnthropicMessages(messages) {
+  const out = [];
+  const push = (role, blocks) => {
+    if (blocks.length === 0) return;
+    const last = out[out.length - 1];
+    // A thinking block has to open its message, so a reply that follows the
+    // summary (compaction can cut inside a tool loop) is not merged into it.
+    if (last?.role === role && blocks[0].type !== "thinking") {
+      last.content.push(...blocks);
+      return;
+    }
+    if (last?.role === role) {
+      out.push({ role: "user", content: [{ type: "text", text: "[Conversation continues]" }] });
+    }
+    out.push({ role, content: blocks });
+  };
+
+  for (const msg of messages) {
+    if (msg.role === "tool") {
+      push("user", [
+        {
+          type: "tool_result",
+          tool_use_id: msg.tool_call_id,
+          content: messageText(msg.content),
+        },
+      ]);
+    } else if (msg.role === "assistant") {
+      const blocks = [];
+      // Thinking blocks are only accepted back with their signature.
+      if (msg.reasoning && msg.reasoning_signature) {
+        blocks.push({
+          type: "thinking",
+          thinking: msg.reasoning,
+          signature: msg.reasoning_signature,
+        });
+      }
+      if (msg.content) {
+        blocks.push({ type: "text", text: messageText(msg.content) });
+      }
+      for (const call of msg.tool_calls ?? []) {
+        blocks.push({
+          type: "tool_use",
+          id: call.id,
+          name: call.function.name,
+          input: parseToolArguments(call.function.arguments),
+        });
+      }
+      push("assistant", blocks);
+    } else if (Array.isArray(msg.content)) {
+      push(
+        "user",
+        msg.content.map((part) =>
+          part.type === "image"
+            ? { type: "image", source: { type: "base64", media_type: part.mime_type, data: part.data } }
+            : { type: "text", text: part.text }
+        )
+      );
+    } else {
+      push("user", [{ type: "text", text: messageText(msg.content) }]);
+    }
+  }
+
+  // The Messages API wants the first turn to come from the user (a summary
+  // can leave an assistant message first).
+  if (out[0]?.role === "assistant") {
+    out.unshift({ role: "user", content: [{ type: "text", text: "[Conversation resumed]" }] });
+  }
+  return out;
+}
+
+function toOllamaMessages(messages) {
+  const toolNames = new Map();
+  return messages.map((msg) => {
+    if (msg.role === "assistant") {
+      const out = { role: "assistant", content: msg.content ?? "" };
+      if (msg.reasoning) out.thinking = msg.reasoning;
+      if (msg.tool_calls) {
+        out.tool_calls = msg.tool_calls.map((call) => {
+          toolNames.set(call.id, call.function.name);
+          return {
+            function: {
+              name: call.function.name,
+              arguments: parseToolArguments(call.function.arguments),
+            },
+          };
+        });
+      }
+      return out;
+    }
+    if (msg.role === "tool") {
+      return {
+        role: "tool",
+        content: messageText(msg.content),
+        tool_name: toolNames.get(msg.tool_call_id),
+      };
+    }
+    const out = { role: msg.role, content: messageText(msg.content) };
+    if (Array.isArray(msg.content)) {
+      const images = msg.content.filter((part) => part.type === "image").map((part) => part.data);
+      if (images.length > 0) out.images = images;
+    }
+    return out;
+  });
+}
+
+const PROVIDERS = {
+  openai: {
+    defaultBaseUrl: (config) => `http://${config.LM_HOST}:${config.LM_PORT}/v1`,
+    path: "/chat/completions",
+    headers: (config) =>
+      config.API_KEY ? { Authorization: `Bearer ${config.API_KEY}` } : {},
+
+    buildPayload({ config, system, messages, tools, temperature, maxTokens, stream }) {
+      const payload = {
+        model: config.MODEL,
+        messages: [{ role: "system", content: system }, ...messages.map(toOpenAIMessage)],
+        temperature,
+        max_tokens: maxTokens,
+        stream,
+      };
+      if (stream) payload.stream_options = { include_usage: true };
+      if (tools.length > 0) payload.tools = tools;
+      return payload;
+    },
+
+    async *parseStream(res) {
+      for await (const chunk of streamChunks(res)) {
+        if (chunk.done) {
+          yield { done: true };
+          return;
+        }
+        if (chunk.usage) yield { usage: chunk.usage };
+        if (chunk.choices?.[0]?.finish_reason) yield { done: true };
+
+        const delta = chunk.choices?.[0]?.delta;
+        if (!delta) continue;
+        // `reasoning_content` is what DeepSeek and vLLM-style servers send.
+        const reasoning = delta.reasoning || delta.reasoning_content;
+        if (typeof reasoning === "string" && reasoning) {
+          yield { reasoning };
+        }
+        if (typeof delta.content === "string" && delta.content) {
+          yield { content: delta.content };
+        }
+        for (const part of delta.tool_calls ?? []) {
+          yield { toolCall: part };
+        }
+      }
+    },
+
+    parseResponse: (data) => data.choices?.[0]?.message?.content || "",
+  },
+
+  anthropic: {
+    defaultBaseUrl: () => "https://api.anthropic.com/v1",
+    path: "/messages",
+    headers: (config) => ({
+      "anthropic-version": ANTHROPIC_VERSION,
+      ...(config.API_KEY ? { "x-api-key": config.API_KEY } : {}),
+    }),
+
+    buildPayload({ config, system, messages, tools, temperature, maxTokens, stream }) {
+      const payload = {
+        model: config.MODEL,
+        system,
+        messages: toAnthropicMessages(messages),
+        max_tokens: maxTokens > 0 ? maxTokens : ANTHROPIC_DEFAULT_MAX_TOKENS,
+        stream,
+      };
+      if (config.THINKING_BUDGET > 0 && stream) {
+        // Thinking requires the default temperature and room for the answer.
+        payload.thinking = { type: "enabled", budget_tokens: config.THINKING_BUDGET };
+        payload.max_tokens = Math.max(payload.max_tokens, config.THINKING_BUDGET + 1024);
+      } else {
+        payload.temperature = temperature;
+      }
+      if (tools.length > 0) {
+        payload.tools = tools.map((t) => ({
+          name: t.function.name,
+          description: t.function.description,
+          input_schema: t.function.parameters,
+        }));
+      }
+      return payload;
+    },
+
+    async *parseStream(res) {
+      const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+      const toolBlocks = new Map();
+
+      for await (const event of streamChunks(res)) {
+        if (event.done) break;
+
+        if (event.type === "message_start") {
+          const u = event.message?.usage ?? {};
+          usage.prompt_tokens =
+            (u.input_tokens ?? 0) +
+            (u.cache_read_input_tokens ?? 0) +
+            (u.cache_creation_input_tokens ?? 0);
+          usage.completion_tokens = u.output_tokens ?? 0;
+        } else if (event.type === "content_block_start") {
+          const block = event.content_block ?? {};
+          if (block.type === "tool_use") {
+            const index = toolBlocks.size;
+            toolBlocks.set(event.index, index);
+            yield {
+              toolCall: { index, id: block.id, function: { name: block.name, arguments: "" } },
+            };
+          }
+        } else if (event.type === "content_block_delta") {
+          const delta = event.delta ?? {};
+          if (delta.type === "text_delta") {
+            yield { content: delta.text };
+          } else if (delta.type === "thinking_delta") {
+            yield { reasoning: delta.thinking };
+          } else if (delta.type === "signature_delta") {
+            yield { reasoningSignature: delta.signature };
+          } else if (delta.type === "input_json_delta" && toolBlocks.has(event.index)) {
+            yield {
+              toolCall: {
+                index: toolBlocks.get(event.index),
+                function: { arguments: delta.partial_json },
+              },
+            };
+          }
+        } else if (event.type === "message_delta") {
+          usage.completion_tokens = event.usage?.output_tokens ?? usage.completion_tokens;
+        } else if (event.type === "message_stop") {
+          yield { done: true };
+        } else if (event.type === "error") {
+          throw new Error(event.error?.message ?? "Anthropic stream error");
+        }
+      }
+
+      usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+      yield { usage };
+    },
+
+    parseResponse: (data) =>
+      (data.content ?? [])
+        .filter((b) => b.type === "text")
+        .map((b) => b.text)
+        .join(""),
+  },
+
+  ollama: {
+    defaultBaseUrl: (config) => `http://${config.LM_HOST}:${config.LM_PORT}`,
+    path: "/api/chat",
+    headers: (config) =>
+      config.API_KEY ? { Authorization: `Bearer ${config.API_KEY}` } : {},
+
+    buildPayload({ config, system, messages, tools, temperature, maxTokens, stream }) {
+      const payload = {
+        model: config.MODEL,
+        messages: [{ role: "system", content: system }, ...toOllamaMessages(messages)],
+        stream,
+        options: { temperature, num_ctx: config.CONTEXT_WINDOW },
+      };
+      if (maxTokens > 0) payload.options.num_predict = maxTokens;
+      if (config.THINKING_BUDGET > 0) payload.think = true;
+      if (tools.length > 0) payload.tools = tools;
+      return payload;
+    },
+
+    async *parseStream(res) {
+      let toolIndex = 0;
+
+      for await (const line of streamLines(res)) {
+        if (!line.trim()) continue;
+        let chunk;
+        try {
+          chunk = JSON.parse(line);
+        } catch (_) {
+          continue;
+        }
+        if (chunk.error) throw new Error(chunk.error);
+
+        const msg = chunk.message ?? {};
+        if (msg.thinking) yield { reasoning: msg.thinking };
+        if (msg.content) yield { content: msg.content };
+        // Ollama sends each tool call whole and without an ID.
+        for (const call of msg.tool_calls ?? []) {
+          const index = toolIndex++;
+          yield {
+            toolCall: {
+              index,
+              id: `call_${Date.now().toString(36)}_${index}`,
+              function: {
+                name: call.function?.name ?? "",
+                arguments: JSON.stringify(call.function?.arguments ?? {}),
+              },
+            },
+          };
+        }
+
+        if (chunk.done) {
+          yield { done: true };
+          const prompt = chunk.prompt_eval_count ?? 0;
+          const completion = chunk.eval_count ?? 0;
+          yield {
+            usage: {
+              prompt_tokens: prompt,
+              completion_tokens: completion,
+              total_tokens: prompt + completion,
+            },
+          };
+          return;
+        }
+      }
+    },
+
+    parseResponse: (data) => data.message?.content || "",
+  },
+};
+
+
+
+const INTERRUPTED_MARKER = "[interrupted by user]";
+
+// Holds { id } of the tool call whose handler is running.
+const toolCallContext = new AsyncLocalStorage();
+
+// AbortSignal.any() needs Node 20.3.
+function anySignal(signals) {
+  const live = signals.filter(Boolean);
+  if (live.length <= 1) return live[0];
+  const controller = new AbortController();
+  for (const signal of live) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    signal.addEventListener("abort", () => controller.abort(signal.reason), { once: true });
+  }
+  return controller.signal;
+}
+
+// Settles like `promise`, or with `fallback` as soon as `signal` aborts.
+function unlessAborted(promise, signal, fallback) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.resolve(fallback);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => resolve(fallback);
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+function describeTimeout(e, ms) {
+  return e?.name === "TimeoutError"
+    ? new Error(`Request timed out after ${ms}ms`)
+    : e;
+}
+
+// Resolves after `ms`, or as soon as `signal` aborts.
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        resolve();
+      },
+      { once: true }
+    );
+  });
+}
+
+// Aborts its signal once `ms` pass without a touch(); never if ms <= 0.
+function idleTimeout(ms) {
+  const controller = new AbortController();
+  let timer = null;
+  const touch = () => {
+    clearTimeout(timer);
+    if (ms > 0) timer = setTimeout(() => controller.abort(), ms);
+  };
+  touch();
+  return { signal: controller.signal, touch, clear: () => clearTimeout(timer) };
+}
+
+// Request timeouts, rate limits and server-side failures; 529 is
+// Anthropic's "overloaded".
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+// A fallback that sets one of these points at another endpoint, so it does
+// not inherit the primary's base URL, API key or headers.
+const ENDPOINT_KEYS = ["PROVIDER", "BASE_URL", "LM_HOST", "LM_PORT"];
+
+// FALLBACKS entries are a model name or an object of config keys to change.
+function fallbackConfig(config, entry) {
+  const override = typeof entry === "string" ? { MODEL: entry } : entry;
+  const out = { ...config, ...override };
+  if (ENDPOINT_KEYS.some((key) => key in override)) {
+    if (!("BASE_URL" in override)) out.BASE_URL = null;
+    if (!("API_KEY" in override)) out.API_KEY = null;
+    if (!("HEADERS" in override)) out.HEADERS = {};
+  }
+  return out;
+}
+
+function parseRetryAfter(headers) {
+  const ms = Number(headers.get("retry-after-ms"));
+  if (ms > 0) return ms;
+  const value = headers.get("retry-after");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// The error message from the response body says more than the status alone.
+async function httpError(res) {
+  const body = await res.text().catch(() => "");
+  let detail = body;
+  try {
+    const data = JSON.parse(body);
+    detail = data.error?.message ?? (typeof data.error === "string" ? data.error : body);
+  } catch (_) {
+    // Not JSON; shown as is
+  }
+  detail = String(detail).replace(/\s+/g, " ").trim();
+  const err = new Error(`HTTP ${res.status}${detail ? `: ${truncateString(detail, 200)}` : ""}`);
+  err.status = res.status;
+  err.retryAfter = parseRetryAfter(res.headers);
+  return err;
+}
+
+// Whether a failed endpoint is worth giving up on for the next fallback:
+// the same errors that are retried, plus 404 for a model the endpoint does
+// not have. Other client errors (a bad request or key) would fail again.
+function canFallBack(err) {
+  return !err.status || RETRYABLE_STATUSES.has(err.status) || err.status === 404;
+}
+
+// Milliseconds to wait before trying the same endpoint again, or null if
+// `err` will not go away by retrying. Errors without a status (network
+// failures, timeouts, cut-off streams) are retried. Retry-After is honoured
+// up to RETRY_MAX_DELAY_MS; otherwise the backoff doubles per attempt, with
+// jitter so parallel clients do not retry in step.
+function retryDelay(err, attempt, config) {
+  if (err.status && !RETRYABLE_STATUSES.has(err.status)) return null;
+  if (err.retryAfter != null) {
+    return err.retryAfter <= config.RETRY_MAX_DELAY_MS ? err.retryAfter : null;
+  }
+  const cap = Math.min(config.RETRY_MAX_DELAY_MS, config.RETRY_BACKOFF_MS * 2 ** (attempt - 1));
+  return cap / 2 + (Math.random() * cap) / 2;
+}
+
+const COMPACTION_PROMPT =
+  "Summarize the conversation above so it can replace these messages. Keep the user's goals, decisions made, facts learned from tool results (file paths, names, values) and anything still unfinished. If it starts with an earlier summary, fold that summary in.";
+
+// A turn starts at each user message and at each assistant message that
+// follows tool results, so a long tool loop splits into rounds. An assistant
+// `tool_calls` message and its `tool` responses always land in the same turn.
+function splitTurns(messages) {
+  const turns = [];
+  let prev = null;
+  for (const msg of messages) {
+    const starts =
+      (msg.role === "user" && !msg.tool_images) ||
+      (msg.role === "assistant" && (prev?.role === "tool" || Boolean(prev?.tool_images)));
+    if (starts || turns.length === 0) turns.push([]);
+    turns[turns.length - 1].push(msg);
+    prev = msg;
+  }
+  return turns;
+}
+
+function elideToolOutput(msg, limit) {
+  if (msg.role !== "tool" || typeof msg.content !== "string") return msg;
+  if (msg.content.length <= limit || msg.elided) return msg;
+  return {
+    ...msg,
+    elided: true,
+    content: JSON.stringify({
+      note: `Output elided during compaction (${msg.content.length} chars)`,
+      preview: truncateString(msg.content, 200),
+    }),
+  };
+}
+
+// Sessions live in SESSIONS_DIR as `<id>.json` (metadata plus conversation).
+// A process holds `<id>.lock` (containing its PID) while a session is open,
+// and files are replaced atomically, so concurrent runs never interleave
+// writes to one session.
+
+let tmpCounter = 0;
+
+async function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${++tmpCounter}.tmp`;
+  try {
+    await _writeFile(tmp, data, { encoding: "utf8" });
+    await rename(tmp, file);
+  } catch (e) {
+    await unlink(tmp).catch(() => {});
+    throw e;
+  }
+}
+
+function newSessionId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace("T", "-");
+  return `${stamp.slice(0, 15)}-${randomBytes(3).toString("hex")}`;
+}
+
+function sessionFile(config, id) {
+  return path.join(config.SESSIONS_DIR, `${id}.json`);
+}
+
+function sessionLockFile(config, id) {
+  return path.join(config.SESSIONS_DIR, `${id}.lock`);
+}
+
+function timersFile(saveFile) {
+  return `${saveFile}.timers.json`;
+}
+
+function sessionTitle(conversation) {
+  const first = conversation.find(
+    (m) => m.role === "user" && (typeof m.content === "string" || Array.isArray(m.content))
+  );
+  return first ? truncateString(messageText(first.content).replace(/\s+/g, " ").trim(), 60) : "";
+}
+
+async function readSession(config, id) {
+  const data = await _readFile(sessionFile(config, id), { encoding: "utf8" });
+  return JSON.parse(data);
+}
+
+// Newest first, without the conversations.
+async function listSessions(config) {
+  let names;
+  try {
+    names = await readdir(config.SESSIONS_DIR);
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+
+  const sessions = [];
+  for (const name of names.filter((n) => n.endsWith(".json"))) {
+    try {
+      const { conversation, timers, ...meta } = await readSession(config, name.slice(0, -5));
+      if (typeof meta.id !== "string" || typeof meta.updated !== "string") continue;
+      if (!Array.isArray(conversation)) continue;
+      sessions.push({ ...meta, messages: conversation.length, timers: timers?.length ?? 0 });
+    } catch (_) {
+      // Skip unreadable files and JSON that is not a session
+    }
+  }
+  return sessions.sort((a, b) => b.updated.localeCompare(a.updated));
+}
+
+// Resolves a full ID or a unique prefix of one.
+async function findSession(config, query) {
+  const ids = (await listSessions(config)).map((s) => s.id);
+  if (ids.includes(query)) return query;
+  const matches = ids.filter((id) => id.startsWith(query));
+  if (matches.length === 1) return matches[0];
+  throw new Error(
+    matches.length === 0
+      ? `No session matches "${query}"`
+      : `"${query}" matches ${matches.length} sessions; use more of the ID`
+  );
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === "EPERM";
+  }
+}
+
+// The PID in a lock file: 0 if there is no lock, null if it cannot be read.
+async function lockFilePid(file) {
+  let text;
+  try {
+    text = await _readFile(file, { encoding: "utf8" });
+  } catch (e) {
+    return e.code === "ENOENT" ? 0 : null;
+  }
+  return /^\d+$/.test(text.trim()) ? Number(text) : null;
+}
+
+async function sessionLockOwner(config, id) {
+  const pid = await lockFilePid(sessionLockFile(config, id));
+  return pid && isProcessAlive(pid) ? pid : null;
+}
+
+// Returns the lock file path. The PID is written to a temporary file that
+// is then hard-linked into place, so a lock is never seen empty. A lock left
+// by a dead process is taken over; one that cannot be read is left alone.
+async function lockSession(config, id) {
+  const file = sessionLockFile(config, id);
+  const tmp = `${file}.${process.pid}.${++tmpCounter}.tmp`;
+  await _writeFile(tmp, String(process.pid));
+  try {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        await link(tmp, file);
+        return file;
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+      }
+      const owner = await lockFilePid(file);
+      if (owner === null) {
+        throw new Error(`Session ${id} is locked by ${file}, which cannot be read`);
+      }
+      if (owner && isProcessAlive(owner)) {
+        throw new Error(`Session ${id} is open in another process (PID ${owner})`);
+      }
+      // Another process may have taken the stale lock over meanwhile; only
+      // a lock that still names the dead owner is removed.
+      if (owner && (await lockFilePid(file)) === owner) {
+        await unlink(file).catch(() => {});
+      }
+    }
+  } finally {
+    await unlink(tmp).catch(() => {});
+  }
+  throw new Error(`Could not lock session ${id}`);
+}
+
+async function deleteSession(config, id) {
+  const owner = await sessionLockOwner(config, id);
+  if (owner) {
+    throw new Error(
+      owner === process.pid
+        ? `Session ${id} is the active session`
+        : `Session ${id} is open in another process (PID ${owner})`
+    );
+  }
+  await unlink(sessionFile(config, id));
+  await unlink(sessionLockFile(config, id)).catch(() => {});
+  await rm(path.join(config.CHECKPOINTS_DIR, id), { recursive: true, force: true });
+}
+
+
+
+// File checkpoints. Before write_file or edit_file changes a file, its prior
+// contents are stored as a blob named by SHA-256 and listed in
+// checkpoints.json, one checkpoint per turn. The user message that started
+// the turn is tagged with the checkpoint ID so a rewind can find it again.
+
+function sha256(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+// Restores one checkpoint's files; files it created are deleted. Whatever
+// is at a path now is removed first when it is or was a symlink, so neither
+// a link nor its target is written through.
+async function restoreCheckpoint(dir, checkpoint) {
+  for (const file of checkpoint.files) {
+    const current = await lstat(file.path).catch(() => null);
+    if (!file.existed || file.link !== undefined || current?.isSymbolicLink()) {
+      await unlink(file.path).catch((e) => {
+        if (e.code !== "ENOENT") throw e;
+      });
+    }
+    if (file.link !== undefined) {
+      await symlink(file.link, file.path);
+    } else if (file.existed) {
+      await _writeFile(file.path, await _readFile(path.join(dir, file.blob)));
+    }
+  }
+}
+
+
+
+// Transcripts: a conversation rendered as Markdown or self-contained HTML
+// for sharing. Reasoning and each tool call (with its result) become
+// collapsible <details> blocks.
+
+const TRANSCRIPT_LABELS = {
+  user: "🧑 User",
+  assistant: "🤖 Assistant",
+  notice: "⚙️ Notice",
+  summary: "📦 Summary",
+};
+
+function transcriptFormat(file) {
+  return /\.html?$/i.test(file) ? "html" : "md";
+}
+
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+  );
+}
+
+function prettyJson(text) {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (_) {
+    return String(text ?? "");
+  }
+}
+
+// The conversation as display blocks, each under a speaker:
+//   { speaker, kind: "text" | "reasoning" | "summary", text, images }
+//   { speaker, kind: "tool", name, arguments, result, failed }
+// Tool messages are folded into the call they answer.
+function transcriptBlocks(conversation) {
+  const results = new Map();
+  for (const msg of conversation) {
+    if (msg.role === "tool") results.set(msg.tool_call_id, messageText(msg.content));
+  }
+
+  const blocks = [];
+  for (const msg of conversation) {
+    if (msg.role === "tool") continue;
+    const text = messageText(msg.content ?? "");
+    const images = Array.isArray(msg.content) ? msg.content.filter((p) => p.type === "image") : [];
+
+    if (msg.summary) {
+      blocks.push({ speaker: "summary", kind: "summary", text, images });
+    } else if (msg.role === "user") {
+      if (msg.tool_images) {
+        blocks.push({ speaker: "assistant", kind: "text", text: "", images });
+        continue;
+      }
+      const speaker = text.startsWith("[SYSTEM:") ? "notice" : "user";
+      blocks.push({ speaker, kind: "text", text, images });
+    } else {
+      if (msg.reasoning) {
+        blocks.push({ speaker: "assistant", kind: "reasoning", text: msg.reasoning, images: [] });
+      }
+      if (text) {
+        blocks.push({ speaker: "assistant", kind: "text", text, images });
+      }
+      for (const call of msg.tool_calls ?? []) {
+        const result = results.get(call.id) ?? null;
+        let failed = result === null;
+        try {
+          failed ||= Boolean(JSON.parse(result).error);
+        } catch (_) {
+          // Not JSON; shown as is
+        }
+        blocks.push({
+          speaker: "assistant",
+          kind: "tool",
+          name: call.function.name,
+          arguments: call.function.arguments,
+          result,
+          failed,
+        });
+      }
+    }
+  }
+  return blocks;
+}
+
+function transcriptHeader(meta, count) {
+  return [
+    ["Session", meta.id],
+    ["Model", meta.model],
+    ["Directory", meta.cwd],
+    ["Created", meta.created],
+    ["Updated", meta.updated],
+    ["Messages", count],
+    ["Exported", new Date().toISOString()],
+  ].filter(([, value]) => value != null && value !== "");
+}
+
+function toolSummary(block) {
+  let args = String(block.arguments ?? "");
+  try {
+    args = JSON.stringify(JSON.parse(args || "{}"));
+  } catch (_) {
+    // Shown as the model sent it
+  }
+  return `${block.failed ? "✗" : "🔧"} ${block.name} ${truncateString(args, 80)}`;
+}
+
+// A fence longer than any backtick run inside `text`.
+function mdFence(text, lang = "") {
+  const longest = Math.max(2, ...(text.match(/`+/g) ?? []).map((run) => run.length));
+  const fence = "`".repeat(longest + 1);
+  return `${fence}${lang}\n${text}\n${fence}`;
+}
+
+const MD_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;" };
+
+// Message text for Markdown: &, < and > are escaped so HTML in a message
+// (a stray </details> included) shows as text. Code blocks and code spans
+// already render literally and are left alone; an unclosed fence is closed
+// so it cannot swallow the rest of the transcript.
+function mdText(text) {
+  const out = [];
+  let fence = null;
+  for (const line of text.split("\n")) {
+    const marker = line.match(/^ {0,3}(`{3,}|~{3,})(.*)$/);
+    if (fence) {
+      out.push(line);
+      const closes =
+        marker && marker[1][0] === fence[0] && marker[1].length >= fence.length && !marker[2].trim();
+      if (closes) fence = null;
+    } else if (marker) {
+      fence = marker[1];
+      out.push(line);
+    } else {
+      out.push(line.replace(/(`+)(?:[^`]|[^`][\s\S]*?[^`])\1(?!`)|[&<>]/g, (m, ticks) =>
+        ticks ? m : MD_ESCAPES[m]
+      ));
+    }
+  }
+  if (fence) out.push(fence);
+  return out.join("\n");
+}
+
+function markdownTranscript(conversation, meta) {
+  const out = [`# ${mdText(meta.title || "EMAgent transcript")}`, ""];
+  for (const [label, value] of transcriptHeader(meta, conversation.length)) {
+    out.push(`- **${label}:** ${mdText(String(value))}`);
+  }
+  out.push("");
+
+  let speaker = null;
+  for (const block of transcriptBlocks(conversation)) {
+    if (block.speaker !== speaker) {
+      speaker = block.speaker;
+      out.push("---", "", `### ${TRANSCRIPT_LABELS[speaker]}`, "");
+    }
+    if (block.kind === "tool") {
+      out.push(
+        "<details>",
+        `<summary>${escapeHtml(toolSummary(block))}</summary>`,
+        "",
+        "**Arguments**",
+        "",
+        mdFence(prettyJson(block.arguments), "json"),
+        "",
+        "**Result**",
+        "",
+        block.result === null ? "_No result recorded_" : mdFence(prettyJson(block.result), "json"),
+        "",
+        "</details>",
+        ""
+      );
+      continue;
+    }
+    if (block.kind === "reasoning" || block.kind === "summary") {
+      const title = block.kind === "reasoning" ? "Reasoning" : "Summary of the earlier conversation";
+      out.push("<details>", `<summary>${title}</summary>`, "", mdText(block.text.trim()), "", "</details>", "");
+    } else if (block.text.trim()) {
+      out.push(mdText(block.text.trim()), "");
+    }
+    for (const image of block.images) {
+      const name = path.basename(image.path);
+      out.push(`![${name}](${encodeURI(image.path)}) _${image.width}×${image.height}_`, "");
+    }
+  }
+  return out.join("\n");
+}
+
+const TRANSCRIPT_CSS = `
+body { font: 15px/1.5 system-ui, sans-serif; max-width: 52rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+h1 { font-size: 1.5rem; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: .2rem 1rem; color: #555; }
+dt { font-weight: 600; }
+dd { margin: 0; }
+section { border-top: 1px solid #ddd; padding: .5rem 0; }
+h2 { font-size: 1rem; margin: .5rem 0; }
+.text { white-space: pre-wrap; overflow-wrap: anywhere; }
+details { margin: .5rem 0; border: 1px solid #ddd; border-radius: 6px; padding: .3rem .6rem; background: #fafafa; }
+summary { cursor: pointer; font-family: ui-monospace, monospace; font-size: .9em; }
+details.failed summary { color: #b00; }
+pre { background: #f3f3f3; padding: .5rem; overflow-x: auto; white-space: pre-wrap; overflow-wrap: anywhere; }
+img { max-width: 100%; border: 1px solid #ddd; }
+`;
+
+// Images are embedded as data URLs when their files are still readable.
+async function htmlTranscript(conversation, meta) {
+  const title = escapeHtml(meta.title || "EMAgent transcript");
+  const out = [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${title}</title>`,
+    `<style>${TRANSCRIPT_CSS}</style>`,
+    "</head>",
+    "<body>",
+    `<h1>${title}</h1>`,
+    "<dl>",
+  ];
+  for (const [label, value] of transcriptHeader(meta, conversation.length)) {
+    out.push(`<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`);
+  }
+  out.push("</dl>");
+
+  let speaker = null;
+  for (const block of transcriptBlocks(conversation)) {
+    if (block.speaker !== speaker) {
+      if (speaker) out.push("</section>");
+      speaker = block.speaker;
+      out.push(`<section class="${speaker}">`, `<h2>${TRANSCRIPT_LABELS[speaker]}</h2>`);
+    }
+    if (block.kind === "tool") {
+      out.push(
+        `<details class="tool${block.failed ? " failed" : ""}">`,
+        `<summary>${escapeHtml(toolSummary(block))}</summary>`,
+        `<p>Arguments</p><pre>${escapeHtml(prettyJson(block.arguments))}</pre>`,
+        `<p>Result</p>`,
+        block.result === null
+          ? "<p><em>No result recorded</em></p>"
+          : `<pre>${escapeHtml(prettyJson(block.result))}</pre>`,
+        "</details>"
+      );
+      continue;
+    }
+    if (block.kind === "reasoning" || block.kind === "summary") {
+      const label = block.kind === "reasoning" ? "Reasoning" : "Summary of the earlier conversation";
+      out.push(
+        `<details><summary>${label}</summary>`,
+        `<div class="text">${escapeHtml(block.text.trim())}</div></details>`
+      );
+    } else if (block.text.trim()) {
+      out.push(`<div class="text">${escapeHtml(block.text.trim())}</div>`);
+    }
+    for (const image of block.images) {
+      const data = await loadImageData(image);
+      const caption = `${escapeHtml(image.path)} (${image.width}×${image.height})`;
+      if (!data) {
+        out.push(`<p><em>Image ${caption} is no longer available</em></p>`);
+        continue;
+      }
+      const src = `data:${image.mime_type};base64,${data.toString("base64")}`;
+      out.push(
+        `<figure><img src="${src}" alt="${escapeHtml(path.basename(image.path))}">`,
+        `<figcaption>${caption}</figcaption></figure>`
+      );
+    }
+  }
+  if (speaker) out.push("</section>");
+  out.push("</body>", "</html>", "");
+  return out.join("\n");
+}
+
+// `meta` takes the session fields shown in the header: title, id, model,
+// cwd, created and updated.
+async function renderTranscript(conversation, { format = "md", meta = {} } = {}) {
+  conversation = migrateReasoning(conversation);
+  if (format === "html") return htmlTranscript(conversation, meta);
+  if (format === "md") return markdownTranscript(conversation, meta);
+  throw new Error(`Unknown transcript format "${format}" (expected md|html)`);
+}
+
+
+
+function addUsage(total, usage) {
+  if (!usage) return total;
+  const sum = total ?? { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  for (const key of Object.keys(sum)) {
+    sum[key] += usage[key] ?? 0;
+  }
+  return sum;
+}
+
+
+
+// One agent: its config, conversation and tools. Instances share nothing, so
+// several can run in the same process.
+//
+// Events:
+//   content (text)             streamed answer text
+//   reasoning (text)           streamed reasoning text
+//   tool_call_delta ({ index, name })  a tool call started streaming
+//   message (entry)            an assistant message was added
+//   tool_call ({ id, name, arguments })
+//   tool_result ({ id, name, result | error, denied, note, started_at, duration_ms })
+//   usage (usage)              token usage reported for one request
+//   compact ({ elided, summarized, before, after })  history was compacted
+//   file_diff ({ id, path, diff })  unified diff of a file tool call `id` wrote
+//   wakeup ({ content, timer })  a timer fired
+//   process_exit (job)         a start_process job exited
+//   warning (message)          non-fatal problem (retries, save failures)
+class EMAgent extends EventEmitter {
+  constructor({
+    config = {},
+    conversation = [],
+    tools = BUILTIN_TOOLS,
+    approve = null,
+    tokenizer = null,
+  } = {}) {
+    super();
+    this.config = createConfig(config);
+    this.conversation = migrateReasoning(conversation);
+    this.approve = approve;
+    this.tokenizer = tokenizer;
+    this.session = null;
+    this.sessionLock = null;
+    this.checkpoints = null;
+    this.systemFileWarned = false;
+    this.turnMessage = null;
+    this.turnCheckpoint = null;
+    this.runId = `run-${Date.now()}-${process.pid}`;
+    this.isProcessing = false;
+    this.abortController = null;
+    this.sessionApprovals = new Set();
+    this.toolSources = [];
+    this.tools = new Map();
+    this.toolImages = [];
+    this.timers = new Map();
+    this.timerHandles = new Map();
+    this.nextTimerId = 1;
+    this.queue = Promise.resolve();
+    this.checkpointQueue = Promise.resolve();
+
+    for (const def of tools) this.registerTool(def);
+  }
+
+  registerTool(def) {
+    validateToolDef(def);
+    if (this.hasTool(def.name)) {
+      throw new Error(`tool "${def.name}" is already registered`);
+    }
+    this.tools.set(def.name, def);
+  }
+
+  // `source` is a function returning tool definitions; it is consulted on
+  // every request, so it can change over time (e.g. MCP servers).
+  addToolSource(source) {
+    this.toolSources.push(source);
+  }
+
+  getTool(name) {
+    if (this.tools.has(name)) return this.tools.get(name);
+    for (const source of this.toolSources) {
+      const def = source().find((t) => t.name === name);
+      if (def) return def;
+    }
+    return null;
+  }
+
+  hasTool(name) {
+    return this.getTool(name) !== null;
+  }
+
+  isToolEnabled(name) {
+    const { TOOLS } = this.config;
+    if (TOOLS.includes(`-${name}`)) return false;
+    const enabled = TOOLS.filter((t) => !t.startsWith("-"));
+    return enabled.length === 0 || enabled.includes(name);
+  }
+
+  getActiveTools() {
+    return [...this.tools.values(), ...this.toolSources.flatMap((s) => s())]
+      .filter((def) => this.isToolEnabled(def.name))
+      .map((def) => ({
+        type: "function",
+        function: {
+          name: def.name,
+          description: String(def.description ?? ""),
+          parameters: def.parameters ?? {
+            type: "object",
+            properties: {},
+            additionalProperties: false,
+          },
+        },
+      }));
+  }
+
+  resolvePath(filePath, options) {
+    return resolveToolPath(this.config, filePath, options);
+  }
+
+  // Where this agent's shell commands run and relative paths start: the
+  // workspace, or the process's current directory.
+  workingDirectory() {
+    return path.resolve(this.config.WORKSPACE ?? "");
+  }
+
+  // EMAGENT.md files for the working directory, unless disabled.
+  getInstructions() {
+    return this.config.INSTRUCTIONS ? loadInstructions(this.workingDirectory()) : [];
+  }
+
+  getPromptVariables() {
+    const cwd = this.workingDirectory();
+    return {
+      cwd,
+      workspace: cwd,
+      date: localDate(),
+      platform: `${process.platform} (${os.type()} ${os.release()})`,
+      // What exec_shell runs commands with.
+      shell: process.platform === "win32" ? process.env.ComSpec || "cmd.exe" : "/bin/sh",
+      model: this.config.MODEL,
+      tools: this.getActiveTools().map((tool) => tool.function.name).join(", ") || "none",
+    };
+  }
+
+  // SYSTEM_PROMPT, else the contents of SYSTEM_FILE, else the built-in
+  // prompt, with {{variables}} filled in; instruction files are appended as
+  // written. Rebuilt for every request so edits to the files apply on the
+  // next turn.
+  getSystemPrompt() {
+    const parts = [renderTemplate(this.getBasePrompt(), this.getPromptVariables())];
+    for (const { file, content } of this.getInstructions()) {
+      parts.push(`Instructions from ${file}:\n\n${content}`);
+    }
+    return parts.join("\n\n");
+  }
+
+  // A SYSTEM_FILE that becomes unreadable mid-session keeps its last
+  // contents (or the built-in prompt) with a warning, rather than failing
+  // every request.
+  getBasePrompt() {
+    const { SYSTEM_PROMPT, SYSTEM_FILE } = this.config;
+    if (SYSTEM_PROMPT != null) return SYSTEM_PROMPT;
+    if (!SYSTEM_FILE) return DEFAULT_SYSTEM_PROMPT;
+    try {
+      const content = readPromptFile(SYSTEM_FILE);
+      this.systemFileWarned = false;
+      return content;
+    } catch (e) {
+      const last = promptFileCache.get(SYSTEM_FILE)?.content;
+      if (!this.systemFileWarned) {
+        this.systemFileWarned = true;
+        this.emit(
+          "warning",
+          `Cannot read system prompt file: ${e.message}; using ${last === undefined ? "the built-in prompt" : "its last contents"}`
+        );
+      }
+      return last ?? DEFAULT_SYSTEM_PROMPT;
+    }
+  }
+
+  // Counts with the tokenizer ({ count(text) }) if one is set, else estimates.
+  countTokens(text) {
+    if (!text) return 0;
+    return this.tokenizer ? this.tokenizer.count(String(text)) : estimateTokens(text);
+  }
+
+  countMessageTokens(msg) {
+    let total = 0;
+    if (Array.isArray(msg.content)) {
+      for (const part of msg.content) {
+        total += part.type === "image" ? estimateImageTokens(part) : this.countTokens(part.text);
+      }
+    } else {
+      total =
+        typeof msg.content === "string"
+          ? this.countTokens(msg.content)
+          : this.countTokens(msg.content && JSON.stringify(msg.content));
+    }
+    if (this.config.REASONING_HISTORY !== "strip") total += this.countTokens(msg.reasoning);
+    for (const call of msg.tool_calls ?? []) {
+      total += this.countTokens(call.function.name);
+      total += this.countTokens(call.function.arguments);
+    }
+    return total;
+  }
+
+  // The usage recorded on the latest assistant message covers everything up
+  // to and including it; only the messages after it are counted locally.
+  // Compaction marks older usage stale since it no longer matches the history.
+  getConversationTokens() {
+    let total = this.countTokens(this.getSystemPrompt());
+    let start = 0;
+    for (let i = this.conversation.length - 1; i >= 0; i--) {
+      const { usage, usage_stale } = this.conversation[i];
+      if (usage) {
+        if (!usage_stale) {
+          total = usage.prompt_tokens + usage.completion_tokens;
+          start = i + 1;
+        }
+        break;
+      }
+    }
+    for (const msg of this.conversation.slice(start)) {
+      total += this.countMessageTokens(msg);
+    }
+    return total;
+  }
+
+  // Reported usage summed per user turn; a turn with no reported usage has
+  // `usage: null`.
+  getTurnUsage() {
+    const turns = [];
+    for (const msg of this.conversation) {
+      if ((msg.role === "user" && !msg.tool_images) || turns.length === 0) {
+        turns.push({ usage: null, requests: 0 });
+      }
+      if (msg.usage) {
+        const turn = turns[turns.length - 1];
+        turn.usage = addUsage(turn.usage, msg.usage);
+        turn.requests++;
+      }
+    }
+    return turns;
+  }
+
+  // Returns why the conversation should be summarized, or null.
+  getContextPressure() {
+    const tokens = this.getConversationTokens();
+    if (tokens > this.config.CONTEXT_WINDOW * this.config.COMPACT_THRESHOLD) {
+      return `Context window nearly full (${tokens}/${this.config.CONTEXT_WINDOW} tokens)`;
+    }
+    if (
+      this.config.MAX_HISTORY > 0 &&
+      this.conversation.length > this.config.MAX_HISTORY
+    ) {
+      return `Max history exceeded (${this.conversation.length}/${this.config.MAX_HISTORY} entries)`;
+    }
+    return null;
+  }
+
+  // Writes the open session, or else SAVE_FILE (a bare message array).
+  async save() {
+    try {
+      if (this.session) {
+        this.session.updated = new Date().toISOString();
+        this.session.title ||= sessionTitle(this.conversation);
+        await writeFileAtomic(
+          sessionFile(this.config, this.session.id),
+          JSON.stringify(
+            { ...this.session, timers: this.listTimers(), conversation: this.conversation },
+            null,
+            2
+          )
+        );
+      } else if (this.config.SAVE_FILE) {
+        await writeFileAtomic(
+          this.config.SAVE_FILE,
+          JSON.stringify(this.conversation, null, 2)
+        );
+        await this.saveTimersFile();
+      }
+    } catch (e) {
+      this.emit("warning", `Failed to save conversation: ${e.message}`);
+    }
+  }
+
+  // The --save file stays a bare message array; its timers go next to it.
+  async saveTimersFile() {
+    const file = timersFile(this.config.SAVE_FILE);
+    if (this.timers.size > 0) {
+      await writeFileAtomic(file, JSON.stringify(this.listTimers(), null, 2));
+    } else {
+      await unlink(file).catch((e) => {
+        if (e.code !== "ENOENT") throw e;
+      });
+    }
+  }
+
+  // Returns the number of messages loaded, or null if there was nothing to load.
+  async load() {
+    if (!this.config.SAVE_FILE) return null;
+    try {
+      await access(this.config.SAVE_FILE);
+      const data = await _readFile(this.config.SAVE_FILE, { encoding: "utf8" });
+      this.conversation = migrateReasoning(JSON.parse(data));
+      const timers = await _readFile(timersFile(this.config.SAVE_FILE), { encoding: "utf8" })
+        .then(JSON.parse)
+        .catch(() => []);
+      this.restoreTimers(timers);
+      return this.conversation.length;
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        this.emit("warning", `Failed to load conversation: ${e.message}`);
+      }
+      return null;
+    }
+  }
+
+  // Starts persisting to a new session seeded with `conversation`. The
+  // session file is written on the next save.
+  async startSession(conversation = this.conversation, parent = null) {
+    await mkdir(this.config.SESSIONS_DIR, { recursive: true });
+    const id = newSessionId();
+    const lock = await lockSession(this.config, id);
+    const now = new Date().toISOString();
+
+    this.releaseSession();
+    this.sessionLock = lock;
+    this.checkpoints = null;
+    this.session = {
+      id,
+      title: sessionTitle(conversation),
+      created: now,
+      updated: now,
+      model: this.config.MODEL,
+      cwd: process.cwd(),
+      parent,
+    };
+    this.conversation = conversation;
+    return this.session;
+  }
+
+  // Throws if the session does not exist or another process has it open.
+  async resumeSession(id) {
+    const lock = await lockSession(this.config, id);
+    try {
+      const { conversation, timers, ...meta } = await readSession(this.config, id);
+      this.releaseSession();
+      this.sessionLock = lock;
+      this.checkpoints = null;
+      this.session = meta;
+      this.conversation = migrateReasoning(conversation);
+      this.restoreTimers(timers);
+      return meta;
+    } catch (e) {
+      unlinkSync(lock);
+      throw e;
+    }
+  }
+
+  // Branches into a new session with the first `count` messages. A cut
+  // right after an assistant `tool_calls` message keeps its tool responses.
+  async forkSession(count = this.conversation.length) {
+    let end = Math.min(Math.max(count, 0), this.conversation.length);
+    while (this.conversation[end]?.role === "tool") end++;
+
+    const parent = this.session ? { id: this.session.id, message: end } : null;
+    const session = await this.startSession(this.conversation.slice(0, end), parent);
+    await this.save();
+    return session;
+  }
+
+  releaseSession() {
+    if (!this.sessionLock) return;
+    try {
+      unlinkSync(this.sessionLock);
+    } catch (_) {
+      // Already gone
+    }
+    this.sessionLock = null;
+  }
+
+  // Checkpoints belong to the session, or to the --save file; a run without
+  // either keeps them in the temp directory.
+  getCheckpointDir() {
+    const { CHECKPOINTS_DIR, SAVE_FILE } = this.config;
+    if (this.session) return path.join(CHECKPOINTS_DIR, this.session.id);
+    if (SAVE_FILE) {
+      const key = sha256(path.resolve(SAVE_FILE)).slice(0, 16);
+      return path.join(CHECKPOINTS_DIR, `file-${key}`);
+    }
+    return path.join(os.tmpdir(), "emagent-checkpoints", this.runId);
+  }
+
+  async listCheckpoints() {
+    if (!this.checkpoints) {
+      try {
+        const data = await _readFile(
+          path.join(this.getCheckpointDir(), "checkpoints.json"),
+          { encoding: "utf8" }
+        );
+        this.checkpoints = JSON.parse(data);
+      } catch (e) {
+        if (e.code !== "ENOENT") {
+          this.emit("warning", `Failed to load checkpoints: ${e.message}`);
+        }
+        this.checkpoints = [];
+      }
+    }
+    return this.checkpoints;
+  }
+
+  async saveCheckpoints() {
+    const dir = this.getCheckpointDir();
+    const blobs = new Set(
+      this.checkpoints.flatMap((c) => c.files.map((f) => f.blob).filter(Boolean))
+    );
+    await writeFileAtomic(
+      path.join(dir, "checkpoints.json"),
+      JSON.stringify(this.checkpoints, null, 2)
+    );
+    for (const name of await readdir(dir)) {
+      if (/^[0-9a-f]{64}$/.test(name) && !blobs.has(name)) {
+        await unlink(path.join(dir, name)).catch(() => {});
+      }
+    }
+  }
+
+  // Emits a unified diff of a write for display; it is not sent to the model.
+  // `before`/`after` are null for a missing file and undefined when unknown.
+  reportDiff(file, before, after, newFile = file) {
+    if (before === undefined || after === undefined) return;
+    if (this.listenerCount("file_diff") === 0) return;
+    const diff = createUnifiedDiff(
+      before ?? "",
+      after ?? "",
+      before === null ? "/dev/null" : file,
+      after === null ? "/dev/null" : newFile
+    );
+    if (diff) {
+      this.emit("file_diff", { id: toolCallContext.getStore()?.id, path: newFile ?? file, diff });
+    }
+  }
+
+  // Snapshots `file` (an absolute path) before the current turn changes it.
+  // Only the first change per turn is recorded. Plugin tools that write files
+  // can call this too. Calls are serialized, since concurrent tool calls would
+  // otherwise race on loading and saving checkpoints.json.
+  checkpointFile(file) {
+    if (!this.config.CHECKPOINTS) return Promise.resolve();
+    const run = this.checkpointQueue.then(() => this.snapshotFile(file));
+    this.checkpointQueue = run.catch(() => {});
+    return run;
+  }
+
+  async snapshotFile(file) {
+    const checkpoints = await this.listCheckpoints();
+    let checkpoint = this.turnCheckpoint;
+    if (!checkpoint) {
+      const message = this.turnMessage;
+      checkpoint = {
+        id: (checkpoints[checkpoints.length - 1]?.id ?? 0) + 1,
+        created: new Date().toISOString(),
+        prompt: message ? truncateString(messageText(message.content ?? ""), 60) : "",
+        files: [],
+      };
+      if (message) message.checkpoint = checkpoint.id;
+      checkpoints.push(checkpoint);
+      this.turnCheckpoint = checkpoint;
+    }
+    if (checkpoint.files.some((f) => f.path === file)) return;
+
+    const dir = this.getCheckpointDir();
+    await mkdir(dir, { recursive: true });
+
+    // A symlink is recorded as its target path rather than read through.
+    const info = await lstat(file).catch((e) => {
+      if (e.code !== "ENOENT") throw e;
+      return null;
+    });
+    if (info?.isSymbolicLink()) {
+      checkpoint.files.push({ path: file, existed: true, link: await readlink(file) });
+      await this.saveCheckpoints();
+      return;
+    }
+
+    const content = info ? await _readFile(file) : null;
+    const entry = { path: file, existed: content !== null };
+    if (content !== null) {
+      entry.blob = sha256(content);
+      await _writeFile(path.join(dir, entry.blob), content, { flag: "wx" }).catch((e) => {
+        if (e.code !== "EEXIST") throw e;
+      });
+    }
+    checkpoint.files.push(entry);
+    await this.saveCheckpoints();
+  }
+
+  // Reverts the files of the latest checkpoint and tells the model about it.
+  // Resolves to the checkpoint, or null if there is none.
+  undo() {
+    return this.enqueue(async () => {
+      const checkpoints = await this.listCheckpoints();
+      const checkpoint = checkpoints.pop();
+      if (!checkpoint) return null;
+
+      await restoreCheckpoint(this.getCheckpointDir(), checkpoint);
+      await this.saveCheckpoints();
+      // IDs are reused after an undo, so the turn must not keep this one.
+      const tagged = this.conversation.find((m) => m.checkpoint === checkpoint.id);
+      if (tagged) delete tagged.checkpoint;
+      this.conversation.push({
+        role: "user",
+        content: `[SYSTEM: The user undid your file changes from an earlier turn: ${checkpoint.files
+          .map((f) => f.path)
+          .join(", ")}]`,
+      });
+      await this.save();
+      return checkpoint;
+    });
+  }
+
+  // Restores every file changed since checkpoint `id` began and truncates
+  // the conversation to just before that turn. If the turn was compacted
+  // away, only the files are restored. Resolves to the checkpoints undone.
+  rewind(id) {
+    return this.enqueue(async () => {
+      const checkpoints = await this.listCheckpoints();
+      const index = checkpoints.findIndex((c) => c.id === id);
+      if (index < 0) throw new Error(`No checkpoint #${id}`);
+
+      const undone = checkpoints.splice(index);
+      const dir = this.getCheckpointDir();
+      for (const checkpoint of [...undone].reverse()) {
+        await restoreCheckpoint(dir, checkpoint);
+      }
+      await this.saveCheckpoints();
+
+      const start = this.conversation.findIndex((m) => m.checkpoint === id);
+      if (start >= 0) {
+        this.conversation = this.conversation.slice(0, start);
+      } else {
+        this.emit(
+          "warning",
+          `The turn of checkpoint #${id} is no longer in the conversation; only files were restored`
+        );
+      }
+      await this.save();
+      return undone;
+    });
+  }
+
+  // These take the config of the endpoint in use, which is a fallback's
+  // once the primary has failed.
+  getProvider(config = this.config) {
+    const provider = PROVIDERS[config.PROVIDER];
+    if (!provider) throw new Error(`Unknown provider "${config.PROVIDER}"`);
+    return provider;
+  }
+
+  getBaseUrl(config = this.config) {
+    const base = config.BASE_URL || this.getProvider(config).defaultBaseUrl(config);
+    return base.replace(/\/+$/, "");
+  }
+
+  chatCompletionsUrl(config = this.config) {
+    return `${this.getBaseUrl(config)}${this.getProvider(config).path}`;
+  }
+
+  // The primary endpoint followed by each of FALLBACKS.
+  requestTargets() {
+    return [this.config, ...this.config.FALLBACKS.map((entry) => fallbackConfig(this.config, entry))];
+  }
+
+  // POSTs JSON to the LM endpoint with auth and extra headers. The request
+  // timeout only covers the wait for the response headers, so a long but
+  // healthy stream is not cut off; `signal` (the caller's idle timeout) also
+  // covers reading the body.
+  async postJson(url, payload, { config = this.config, signal = null } = {}) {
+    const { HEADERS, REQUEST_TIMEOUT } = config;
+    const headers = {
+      "Content-Type": "application/json",
+      ...this.getProvider(config).headers(config),
+      ...HEADERS,
+    };
+
+    const timeout = new AbortController();
+    const timer =
+      REQUEST_TIMEOUT > 0
+        ? setTimeout(
+            () => timeout.abort(new DOMException("Request timed out", "TimeoutError")),
+            REQUEST_TIMEOUT
+          )
+        : null;
+    try {
+      return await fetch(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(payload),
+        signal: anySignal([timeout.signal, this.abortController?.signal, signal]),
+      });
+    } catch (e) {
+      if (this.isInterrupted()) throw new Error("Interrupted by user");
+      throw describeTimeout(e, REQUEST_TIMEOUT);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Calls run(config) with the primary endpoint's config, then with each
+  // fallback's, retrying an endpoint while its failures look temporary.
+  // Throws the last error once every endpoint has failed, or at once when
+  // the task is interrupted.
+  async requestWithRetries(run) {
+    const targets = this.requestTargets();
+    let lastError;
+    for (const [i, config] of targets.entries()) {
+      const attempts = Math.max(1, config.RETRY_COUNT);
+      const label = targets.length > 1 ? `${config.MODEL}: ` : "";
+      for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+          return await run(config);
+        } catch (err) {
+          if (this.isInterrupted()) throw err;
+          lastError = err;
+          const delay = attempt < attempts ? retryDelay(err, attempt, config) : null;
+          const retrying = delay === null ? "" : ` (retrying in ${(delay / 1000).toFixed(1)}s)`;
+          this.emit("warning", `${label}Attempt ${attempt}/${attempts} failed: ${err.message}${retrying}`);
+          if (delay === null) break;
+          await sleep(delay, this.abortController?.signal);
+          if (this.isInterrupted()) throw new Error("Interrupted by user");
+        }
+      }
+      if (!canFallBack(lastError)) throw lastError;
+      if (i + 1 < targets.length) this.emit("warning", `Falling back to ${targets[i + 1].MODEL}`);
+    }
+    throw lastError;
+  }
+
+  // Asks the model (without tools or streaming) to summarize `messages`.
+  async requestSummary(messages, instruction) {
+    const prepared = [
+      ...reasoningForPayload(await withImageData(messages), "strip"),
+      { role: "user", content: instruction },
+    ];
+
+    return this.requestWithRetries(async (config) => {
+      const provider = this.getProvider(config);
+      const payload = provider.buildPayload({
+        config,
+        system: this.getSystemPrompt(),
+        messages: prepared,
+        tools: [],
+        temperature: 0.3,
+        maxTokens: 2000,
+        stream: false,
+      });
+
+      const res = await this.postJson(this.chatCompletionsUrl(config), payload, { config });
+
+      if (!res.ok) throw await httpError(res);
+
+      const data = await res.json().catch((e) => {
+        throw describeTimeout(e, config.REQUEST_TIMEOUT);
+      });
+      return provider.parseResponse(data);
+    });
+  }
+
+  summaryMessage(summary) {
+    return {
+      role: "assistant",
+      content: `[CONVERSATION SUMMARY]\n${summary}\n[END SUMMARY - Conversation continues below]`,
+      summary: true,
+    };
+  }
+
+  // Replaces the whole conversation with one summary message.
+  async summarize() {
+    const summary = await this.requestSummary(
+      this.conversation,
+      "Please provide a concise summary of our conversation so far, capturing all key points, decisions, and context needed to continue. This will replace the detailed history."
+    );
+
+    this.conversation = [this.summaryMessage(summary)];
+    await this.save();
+    return summary;
+  }
+
+  // Rolling compaction: the last COMPACT_KEEP_TURNS turns stay verbatim.
+  // Large tool outputs in older turns are elided first; if the context is
+  // still above COMPACT_TARGET (or `force` is set), the older turns are folded
+  // into the running summary. Resolves to null if there was nothing to compact.
+  async compactHistory({ force = false } = {}) {
+    const { config } = this;
+    const before = this.getConversationTokens();
+
+    const head = this.conversation[0]?.summary ? [this.conversation[0]] : [];
+    const turns = splitTurns(this.conversation.slice(head.length));
+    const keep = Math.max(config.COMPACT_KEEP_TURNS, 1);
+    if (turns.length <= keep) return null;
+
+    const recent = turns.slice(-keep).flat();
+    let elided = 0;
+    const older = turns.slice(0, -keep).flat().map((msg) => {
+      const out = elideToolOutput(msg, config.COMPACT_TOOL_OUTPUT);
+      if (out !== msg) elided++;
+      return out;
+    });
+
+    for (const msg of recent) {
+      if (msg.usage) msg.usage_stale = true;
+    }
+    this.conversation = [...head, ...older, ...recent];
+
+    let summarized = 0;
+    if (force || this.getConversationTokens() > config.CONTEXT_WINDOW * config.COMPACT_TARGET) {
+      const summary = await this.requestSummary([...head, ...older], COMPACTION_PROMPT);
+      this.conversation = [this.summaryMessage(summary), ...recent];
+      summarized = older.length;
+    }
+
+    const result = { elided, summarized, before, after: this.getConversationTokens() };
+    this.emit("compact", result);
+    await this.save();
+    return result;
+  }
+
+  // Compacts with the rolling strategy when the context is under pressure.
+  // A failed summary request leaves the elided history in place.
+  async autoCompact() {
+    if (this.config.COMPACT_STRATEGY !== "rolling" || !this.getContextPressure()) {
+      return;
+    }
+    try {
+      await this.compactHistory();
+    } catch (e) {
+      if (!this.isInterrupted()) this.emit("warning", `Compaction failed: ${e.message}`);
+    }
+  }
+
+  // Queued like send(), so it never runs in the middle of a turn.
+  compact(options) {
+    return this.enqueue(() => this.compactHistory(options));
+  }
+
+  // Adds a schedule from createTimer() and arms it.
+  addTimer(schedule) {
+    const timer = { id: `t${this.nextTimerId++}`, ...schedule };
+    this.timers.set(timer.id, timer);
+    this.armTimer(timer);
+    return { ...timer };
+  }
+
+  cancelTimer(id) {
+    if (!this.timers.has(id)) return false;
+    clearTimeout(this.timerHandles.get(id));
+    this.timerHandles.delete(id);
+    this.timers.delete(id);
+    return true;
+  }
+
+  // Soonest first.
+  listTimers() {
+    return [...this.timers.values()]
+      .map((t) => ({ ...t }))
+      .sort((a, b) => a.due.localeCompare(b.due));
+  }
+
+  // Replaces the schedules with saved ones without arming them; call
+  // startTimers() to let them fire. Returns the number restored.
+  restoreTimers(saved = []) {
+    for (const handle of this.timerHandles.values()) clearTimeout(handle);
+    this.timerHandles.clear();
+    this.timers.clear();
+    this.nextTimerId = 1;
+
+    for (const timer of saved) {
+      if (typeof timer?.id !== "string" || Number.isNaN(Date.parse(timer.due))) continue;
+      this.timers.set(timer.id, { ...timer });
+      const n = Number(timer.id.slice(1));
+      if (n >= this.nextTimerId) this.nextTimerId = n + 1;
+    }
+    return this.timers.size;
+  }
+
+  // Arms restored timers. Ones that came due while nothing was running fire
+  // right away, once.
+  startTimers() {
+    for (const timer of this.timers.values()) {
+      if (!this.timerHandles.has(timer.id)) this.armTimer(timer);
+    }
+  }
+
+  // setTimeout cannot wait longer than ~24.8 days, so long waits re-arm.
+  armTimer(timer) {
+    const delay = Math.max(0, Date.parse(timer.due) - Date.now());
+    const handle = setTimeout(() => {
+      this.timerHandles.delete(timer.id);
+      if (Date.parse(timer.due) > Date.now()) {
+        this.armTimer(timer);
+      } else {
+        this.fireTimer(timer);
+      }
+    }, Math.min(delay, MAX_TIMEOUT_MS));
+    this.timerHandles.set(timer.id, handle);
+  }
+
+  fireTimer(timer) {
+    const now = Date.now();
+    const due = timer.due;
+    const late = now - Date.parse(due) > 60 * 1000;
+    timer.runs++;
+
+    let next = null;
+    try {
+      next = nextTimerDue(timer, now);
+    } catch (e) {
+      this.emit("warning", `Timer ${timer.id}: ${e.message}`);
+    }
+    if (next) {
+      timer.due = next;
+      this.armTimer(timer);
+    } else {
+      this.timers.delete(timer.id);
+    }
+
+    const head = this.isProcessing
+      ? `[SYSTEM: Deferred timer wakeup (queued at ${new Date(now).toISOString()})]`
+      : this.config.WAKEUP_MESSAGE;
+    const content = [
+      `${head} Timer ${timer.id} fired (${describeTimer(timer)}).`,
+      late && `It was due at ${due} but EMAgent was not running then.`,
+      next && `Next run: ${next}.`,
+      timer.note && `Note: ${timer.note}`,
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+    this.emit("wakeup", { content, timer: { ...timer } });
+    this.send(content).catch((err) => {
+      this.emit("warning", `Error: ${err.message ?? String(err)}`);
+    });
+  }
+
+  // Stops pending timers and background processes so the process can exit,
+  // and releases the session. Timer schedules are kept and still saved.
+  close() {
+    for (const handle of this.timerHandles.values()) clearTimeout(handle);
+    this.timerHandles.clear();
+    stopJobs(this);
+    this.releaseSession();
+  }
+
+  async checkPermission(name, args) {
+    const { config } = this;
+    const target = getPermissionTarget(config, name, args);
+    // Several paths: any may hit a deny rule, all must hit an allow rule.
+    const targets = Array.isArray(target) ? target : [target];
+    const shell = SHELL_TOOLS.has(name);
+    const denyTargets = shell ? shellCommandTargets(target) : targets;
+
+    const denyRule = config.DENY_RULES.find((r) =>
+      denyTargets.some((t) => matchesRule(config, r, name, t))
+    );
+    if (denyRule) {
+      return { allowed: false, reason: `Blocked by deny rule "${denyRule}"` };
+    }
+
+    const mode = config.TOOL_PERMISSIONS[name] ?? "ask";
+    if (mode === "deny") {
+      return { allowed: false, reason: `Tool "${name}" is disabled by permissions` };
+    }
+    if (mode === "allow" || config.YOLO) return { allowed: true };
+    // An allow rule never covers chained or redirected commands, whatever
+    // its glob: `git status*` must not approve `git status; curl x | sh`.
+    if (
+      !(shell && SHELL_META_RE.test(target)) &&
+      targets.every((t) => config.ALLOW_RULES.some((r) => matchesRule(config, r, name, t)))
+    ) {
+      return { allowed: true };
+    }
+
+    const approvalKey = `${name}:${targets.join(",")}`;
+    if (this.sessionApprovals.has(approvalKey)) return { allowed: true };
+
+    if (!this.approve) {
+      return {
+        allowed: false,
+        reason: `Approval required for "${name}" but no approver is configured`,
+      };
+    }
+
+    const decision = await this.approve({
+      name,
+      args,
+      target: Array.isArray(target) ? target.join(", ") : target,
+      signal: this.abortController?.signal,
+    });
+    if (decision.allowed && decision.always) {
+      this.sessionApprovals.add(approvalKey);
+    }
+    return decision;
+  }
+
+  // Parses the arguments, finds the tool and checks permission. Resolves to
+  // { tool, args }, or { entry } with the error to report.
+  async prepareToolCall(call) {
+    const { name, arguments: argsStr } = call.function;
+    let parsedArgs;
+
+    try {
+      parsedArgs = JSON.parse(argsStr || "{}");
+    } catch (e) {
+      return {
+        entry: { id: call.id, error: `Invalid JSON for ${name}: ${argsStr}` },
+      };
+    }
+
+    const tool = this.isToolEnabled(name) ? this.getTool(name) : null;
+    if (!tool) {
+      return { entry: { id: call.id, error: `Unknown tool "${name}"` } };
+    }
+
+    const permission = await this.checkPermission(name, parsedArgs);
+    if (!permission.allowed) {
+      return {
+        entry: {
+          id: call.id,
+          error: `Permission denied: ${permission.reason}`,
+          denied: true,
+          note: permission.note,
+        },
+      };
+    }
+
+    return { tool, args: parsedArgs };
+  }
+
+  // Runs the handler with the call's id in toolCallContext, so events it
+  // causes (file_diff) can be matched to the call. Audited when it starts
+  // and again when it ends.
+  async executeToolCall(call, tool, args) {
+    const started = Date.now();
+    const startedAt = new Date(started).toISOString();
+    await this.auditToolCall(call, { id: call.id, started_at: startedAt }, "started");
+    let entry;
+    try {
+      const result = await toolCallContext.run({ id: call.id }, () =>
+        tool.handler(args, {
+          agent: this,
+          config: this.config,
+          resolvePath: (p, options) => this.resolvePath(p, options),
+          signal: this.abortController?.signal,
+        })
+      );
+      entry = { id: call.id, result, started_at: startedAt, duration_ms: Date.now() - started };
+    } catch (e) {
+      entry = {
+        id: call.id,
+        error: e.message ?? String(e),
+        started_at: startedAt,
+        duration_ms: Date.now() - started,
+      };
+    }
+    await this.auditToolCall(call, entry);
+    return entry;
+  }
+
+  // Appends one JSON line about a call to AUDIT_LOG right away, so a crash
+  // mid-batch still leaves a trace. `status` defaults to the outcome of
+  // `entry`: ok, error, denied or interrupted. A failed write is a warning.
+  async auditToolCall(call, entry, status = null) {
+    const file = this.config.AUDIT_LOG;
+    if (!file) return;
+    const { name, arguments: args } = call.function;
+    if (!status) {
+      status = "ok";
+      if (entry.interrupted) status = "interrupted";
+      else if (entry.denied) status = "denied";
+      else if (entry.error || entry.result?.error) status = "error";
+    }
+    let parsedArgs = args;
+    try {
+      parsedArgs = JSON.parse(args || "{}");
+    } catch (_) {
+      // Logged as the model sent it
+    }
+    const line = JSON.stringify({
+      timestamp: entry.started_at ?? new Date().toISOString(),
+      session: this.session?.id ?? null,
+      run: this.runId,
+      cwd: process.cwd(),
+      call_id: entry.id,
+      tool: name,
+      arguments: parsedArgs,
+      status,
+      duration_ms: entry.duration_ms ?? null,
+      exit_code: typeof entry.result?.code === "number" ? entry.result.code : null,
+      result: entry.result ?? null,
+      error: entry.error ?? entry.result?.error ?? null,
+      note: entry.note ?? null,
+    });
+    try {
+      await mkdir(path.dirname(path.resolve(file)), { recursive: true });
+      await appendFile(file, line + "\n");
+    } catch (e) {
+      this.emit("warning", `Failed to write audit log ${file}: ${e.message}`);
+    }
+  }
+
+  // Results come back in the order of `calls`. With TOOL_CONCURRENCY above 1
+  // and several calls, every approval is asked first, in order; then each
+  // call starts once the earlier calls it conflicts with (see toolCallScope)
+  // are done and a slot is free. After an interrupt the rest are not started;
+  // running calls see the aborted `signal` (exec_shell kills its child, MCP
+  // calls are cancelled) and the turn waits for them, so nothing keeps
+  // writing once it has ended.
+  async runToolCalls(calls) {
+    if (this.config.TOOL_CONCURRENCY > 1 && calls.length > 1) {
+      return this.runToolCallsConcurrently(calls);
+    }
+
+    const results = [];
+    const signal = this.abortController?.signal;
+
+    for (const call of calls) {
+      const { name, arguments: args } = call.function;
+      const interrupted = { id: call.id, error: INTERRUPTED_MARKER, interrupted: true };
+      if (this.isInterrupted()) {
+        await this.auditToolCall(call, interrupted);
+        results.push(interrupted);
+        continue;
+      }
+      this.emit("tool_call", { id: call.id, name, arguments: args });
+
+      const prepared = await unlessAborted(this.prepareToolCall(call), signal, {
+        entry: interrupted,
+      });
+      if (prepared.entry) await this.auditToolCall(call, prepared.entry);
+      const entry =
+        prepared.entry ?? (await this.executeToolCall(call, prepared.tool, prepared.args));
+      this.emit("tool_result", { name, ...entry });
+      results.push(entry);
+    }
+
+    return results;
+  }
+
+  async runToolCallsConcurrently(calls) {
+    const signal = this.abortController?.signal;
+    const results = new Array(calls.length);
+    const tasks = [];
+
+    for (const [i, call] of calls.entries()) {
+      const { name, arguments: args } = call.function;
+      const interrupted = { id: call.id, error: INTERRUPTED_MARKER, interrupted: true };
+      if (this.isInterrupted()) {
+        await this.auditToolCall(call, interrupted);
+        results[i] = interrupted;
+        continue;
+      }
+      this.emit("tool_call", { id: call.id, name, arguments: args });
+
+      const prepared = await unlessAborted(this.prepareToolCall(call), signal, {
+        entry: interrupted,
+      });
+      if (prepared.entry) {
+        await this.auditToolCall(call, prepared.entry);
+        this.emit("tool_result", { name, ...prepared.entry });
+        results[i] = prepared.entry;
+        continue;
+      }
+      const scope = toolCallScope(this.config, prepared.tool, name, prepared.args);
+      tasks.push({ i, call, interrupted, scope, ...prepared });
+    }
+
+    let running = 0;
+    const waiting = [];
+    const acquire = () => {
+      if (running < this.config.TOOL_CONCURRENCY) {
+        running++;
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => waiting.push(resolve));
+    };
+    const release = () => {
+      const next = waiting.shift();
+      if (next) next();
+      else running--;
+    };
+
+    for (const [k, task] of tasks.entries()) {
+      const before = tasks
+        .slice(0, k)
+        .filter((t) => scopesConflict(t.scope, task.scope))
+        .map((t) => t.done);
+      task.done = Promise.all(before)
+        .then(acquire)
+        .then(async () => {
+          try {
+            let entry = task.interrupted;
+            if (this.isInterrupted()) await this.auditToolCall(task.call, entry);
+            else entry = await this.executeToolCall(task.call, task.tool, task.args);
+            this.emit("tool_result", { name: task.call.function.name, ...entry });
+            results[task.i] = entry;
+          } finally {
+            release();
+          }
+        });
+    }
+
+    await Promise.all(tasks.map((t) => t.done));
+    return results;
+  }
+
+  isInterrupted() {
+    return Boolean(this.abortController?.signal.aborted);
+  }
+
+  // Aborts the running request or tool call. The turn ends with whatever
+  // was streamed so far plus INTERRUPTED_MARKER. Returns false when idle.
+  interrupt() {
+    if (!this.abortController || this.isInterrupted()) return false;
+    this.abortController.abort();
+    return true;
+  }
+
+  async sendChat() {
+    const messages = reasoningForPayload(
+      await withImageData(this.conversation),
+      this.config.REASONING_HISTORY
+    );
+    try {
+      return await this.requestWithRetries((config) => this.streamChat(config, messages));
+    } catch (e) {
+      if (!this.isInterrupted()) throw e;
+      return { content: "", toolCalls: [], toolResults: [], usage: null, interrupted: true };
+    }
+  }
+
+  // One streamed request to the endpoint in `config`. Throws on HTTP errors,
+  // timeouts and streams that end before the response is complete (their
+  // partial output is dropped, so a retry starts over); an interrupt instead
+  // resolves with what was streamed so far.
+  async streamChat(config, messages) {
+    const provider = this.getProvider(config);
+    const payload = provider.buildPayload({
+      config,
+      system: this.getSystemPrompt(),
+      messages,
+      tools: this.getActiveTools(),
+      temperature: config.TEMP,
+      maxTokens: config.MAX_TOKENS,
+      stream: true,
+    });
+
+    const result = {
+      content: "",
+      reasoning: "",
+      reasoningSignature: "",
+      toolCalls: [],
+      toolResults: [],
+      usage: null,
+      interrupted: false,
+    };
+
+    let partialToolCalls = [];
+    let unsignedReasoning = false;
+    let complete = false;
+    const idle = idleTimeout(config.IDLE_TIMEOUT);
+
+    try {
+      const res = await this.postJson(this.chatCompletionsUrl(config), payload, {
+        config,
+        signal: idle.signal,
+      });
+      if (!res.ok) throw await httpError(res);
+
+      for await (const delta of provider.parseStream(res)) {
+        idle.touch();
+        if (delta.done) complete = true;
+        if (delta.usage) result.usage = delta.usage;
+
+        if (delta.content) {
+          result.content += delta.content;
+          this.emit("content", delta.content);
+        } else if (delta.reasoning) {
+          if (result.reasoningSignature) {
+            // A second signed thinking block; the two cannot be sent back
+            // as one, so the merged text stays unsigned.
+            result.reasoning += "\n\n";
+            result.reasoningSignature = "";
+            unsignedReasoning = true;
+          }
+          result.reasoning += delta.reasoning;
+          this.emit("reasoning", delta.reasoning);
+        } else if (delta.reasoningSignature) {
+          result.reasoningSignature += delta.reasoningSignature;
+        } else if (delta.toolCall) {
+          const part = delta.toolCall;
+          let pc = partialToolCalls.find((t) => t.index === part.index);
+          if (!pc) {
+            pc = {
+              index: part.index,
+              id: part.id,
+              type: part.type || "function",
+            };
+            pc.function = { name: "", arguments: "" };
+            partialToolCalls.push(pc);
+          }
+          if (part.function?.name && !pc.function.name) {
+            pc.function.name = part.function.name;
+            this.emit("tool_call_delta", {
+              index: partialToolCalls.length - 1,
+              name: pc.function.name,
+            });
+          }
+          if (part.function?.arguments) {
+            pc.function.arguments += part.function.arguments;
+          }
+        }
+      }
+      if (!complete) throw new Error("Stream ended before the response was complete");
+    } catch (e) {
+      if (!this.isInterrupted()) {
+        if (idle.signal.aborted) throw new Error(`No data from the model for ${config.IDLE_TIMEOUT}ms`);
+        throw describeTimeout(e, config.REQUEST_TIMEOUT);
+      }
+      // Half-streamed tool calls cannot be run; keep only the text.
+      result.interrupted = true;
+      partialToolCalls = [];
+    } finally {
+      idle.clear();
+    }
+
+    if (unsignedReasoning) result.reasoningSignature = "";
+    if (result.usage) this.emit("usage", result.usage);
+
+    if (partialToolCalls.length > 0) {
+      result.toolCalls = partialToolCalls.map((tc) => ({
+        id: tc.id,
+        type: tc.type || "function",
+        function: {
+          name: tc.function.name,
+          arguments: tc.function.arguments,
+        },
+      }));
+    }
+
+    return result;
+  }
+
+  // Runs model requests and tool calls until the model answers without
+  // calling tools. Throws if a request fails.
+  async runLoop() {
+    const turn = { content: "", toolCalls: [], usage: null, interrupted: false };
+
+    while (true) {
+      await this.autoCompact();
+      const result = await this.sendChat();
+      turn.usage = addUsage(turn.usage, result.usage);
+      turn.content = result.content;
 
-      
       const assistantEntry = {
         role: "assistant",
         content: result.content || null,
       };
+      if (result.reasoning) {
+        assistantEntry.reasoning = result.reasoning;
+        // Anthropic needs the signature to accept the thinking block back.
+        if (result.reasoningSignature) {
+          assistantEntry.reasoning_signature = result.reasoningSignature;
+        }
+      }
+      if (result.interrupted) {
+        assistantEntry.content = [result.content, INTERRUPTED_MARKER].filter(Boolean).join("\n\n");
+      }
 
       if (result.toolCalls.length > 0) {
         assistantEntry.tool_calls = result.toolCalls;
       }
+      if (result.usage) assistantEntry.usage = result.usage;
+
+      this.conversation.push(assistantEntry);
+      this.emit("message", assistantEntry);
 
-      conversation.push(assistantEntry);
+      if (result.toolCalls.length > 0) {
+        const toolResults = await this.runToolCalls(result.toolCalls);
+        for (const [i, tr] of toolResults.entries()) {
+          const { id, ...outcome } = tr;
+          const fn = result.toolCalls[i].function;
+          turn.toolCalls.push({ id, name: fn.name, arguments: fn.arguments, ...outcome });
 
-      
-      if (result.toolResults.length > 0) {
-        for (const tr of result.toolResults) {
-          conversation.push({
+          this.conversation.push({
             role: "tool",
             tool_call_id: tr.id,
-            content: JSON.stringify(tr.result ?? { error: tr.error }),
+            content: JSON.stringify(
+              tr.result ?? { error: tr.error, denied: tr.denied, note: tr.note }
+            ),
+          });
+        }
+        if (this.toolImages.length > 0) {
+          // Tool results are text-only in most APIs, so images follow them.
+          const images = this.toolImages.splice(0);
+          this.conversation.push({
+            role: "user",
+            content: [
+              { type: "text", text: `[SYSTEM: Images from view_image: ${images.map((p) => p.path).join(", ")}]` },
+              ...images,
+            ],
+            tool_images: true,
           });
         }
-        await saveConversation();
+        if (this.isInterrupted()) {
+          // Close the turn with an assistant message so roles still alternate.
+          const marker = { role: "assistant", content: INTERRUPTED_MARKER };
+          this.conversation.push(marker);
+          this.emit("message", marker);
+          turn.interrupted = true;
+          await this.save();
+          return turn;
+        }
+        await this.save();
         continue; // Loop to let model see tool results
       }
-
-      await saveConversation();
-      break; // No tool calls - done
-    } catch (err) {
-      console.error(`\n⚠️  Error: ${err.message ?? String(err)}`);
-      break;
+
+      turn.interrupted = result.interrupted;
+      await this.save();
+      return turn; // No tool calls - done
+    }
+  }
+
+  // Adds `message` (a string, an array of content parts or a message object)
+  // to the conversation and runs the tool loop. Calls are queued, so
+  // concurrent sends run one after another. Resolves to
+  // { content, toolCalls, usage } for the whole turn.
+  send(message) {
+    return this.enqueue(() => this.startTurn(message));
+  }
+
+  // Drops the latest user message and everything after it, then sends it
+  // again, or `content` in its place. Files changed by the dropped turn
+  // stay as they are.
+  retry(content) {
+    return this.enqueue(() => {
+      const index = this.getLastUserMessageIndex();
+      if (index < 0) throw new Error("No message to retry");
+      const message = { role: "user", content: content ?? this.conversation[index].content };
+      this.conversation = this.conversation.slice(0, index);
+      return this.startTurn(message);
+    });
+  }
+
+  // The latest message the user wrote: summaries, undo notices, timer
+  // wakeups and images from view_image do not count. -1 if there is none.
+  getLastUserMessageIndex() {
+    return this.conversation.findLastIndex(
+      (m) =>
+        m.role === "user" &&
+        !m.summary &&
+        !m.tool_images &&
+        !(typeof m.content === "string" && m.content.startsWith("[SYSTEM:"))
+    );
+  }
+
+  startTurn(message) {
+    if (message != null) {
+      const isContent = typeof message === "string" || Array.isArray(message);
+      this.conversation.push(isContent ? { role: "user", content: message } : message);
+    }
+    this.turnMessage = this.conversation[this.conversation.length - 1] ?? null;
+    this.turnCheckpoint = null;
+    return this.runLoop();
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(async () => {
+      this.isProcessing = true;
+      this.abortController = new AbortController();
+      try {
+        return await task();
+      } finally {
+        this.isProcessing = false;
+        this.abortController = null;
+      }
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+
+
+// ── CLI ──────────────────────────────────────────────────────────────────────
+
+let agent = null;
+let uiStream = process.stdout;
+
+function uiWrite(text) {
+  if (uiStream) uiStream.write(text);
+}
+
+function uiLog(...args) {
+  uiWrite(util.format(...args) + "\n");
+}
+
+function printSection(title) {
+  const padding = Math.max(0, 54 - title.length);
+  uiLog(`\n┌─── ${title} ${"─".repeat(padding)}┐`);
+}
+
+function printSectionLine(content) {
+  uiLog(`│ ${content}`);
+}
+
+function printSectionEnd() {
+  uiLog(`\n└${"─".repeat(60)}┘`);
+}
+
+const DIFF_PREVIEW_LINES = 60;
+
+const DIFF_COLORS = { "+": "\x1b[32m", "-": "\x1b[31m", "@": "\x1b[36m" };
+
+function colorDiffLine(line) {
+  if (!uiStream?.isTTY || process.env.NO_COLOR) return line;
+  if (line.startsWith("+++ ") || line.startsWith("--- ")) return `\x1b[1m${line}\x1b[0m`;
+  const color = DIFF_COLORS[line[0]];
+  return color ? `${color}${line}\x1b[0m` : line;
+}
+
+function printDiff(diff) {
+  const lines = diff.split("\n");
+  for (const line of lines.slice(0, DIFF_PREVIEW_LINES)) {
+    printSectionLine(colorDiffLine(line));
+  }
+  if (lines.length > DIFF_PREVIEW_LINES) {
+    printSectionLine(`… ${lines.length - DIFF_PREVIEW_LINES} more diff line(s)`);
+  }
+}
+
+// Renders agent events as the boxed Reasoning / Response / Tool sections.
+// REASONING_DISPLAY is read per event so /reasoning applies mid-session.
+function attachRenderer(target) {
+  let section = null;
+  let collapsed = 0;
+
+  const close = () => {
+    if (section === "collapsed") uiLog(` (${collapsed} chars)`);
+    else if (section) printSectionEnd();
+    section = null;
+  };
+
+  const enter = (kind, title) => {
+    if (section === kind) return;
+    close();
+    section = kind;
+    printSection(title);
+  };
+
+  target.on("reasoning", (text) => {
+    const display = target.config?.REASONING_DISPLAY;
+    if (display === "hide") return;
+    if (display === "collapse") {
+      if (section !== "collapsed") {
+        close();
+        section = "collapsed";
+        collapsed = 0;
+        uiWrite("\n💭 Reasoning…");
+      }
+      collapsed += text.length;
+      return;
+    }
+    enter("reasoning", "Reasoning");
+    uiWrite(text);
+  });
+
+  target.on("content", (text) => {
+    enter("content", "Response");
+    uiWrite(text);
+  });
+
+  target.on("tool_call_delta", ({ index, name }) => {
+    enter("tool_calls", "Tool Calls");
+    printSectionLine(`[${index + 1}] ${name}`);
+  });
+
+  target.on("message", close);
+
+  // Calls run concurrently finish out of order, so a result that is not for
+  // the call whose section is open gets a section of its own, and diffs wait
+  // for their call's result.
+  let openCall = null;
+  const diffs = new Map();
+
+  target.on("tool_call", ({ id, name, arguments: args }) => {
+    if (openCall) printSectionEnd();
+    openCall = id;
+    printSection(`Tool: ${name}`);
+    printSectionLine(`ID: ${id}`);
+    printSectionLine(`Args: ${truncateString(args, 100)}`);
+  });
+
+  target.on("file_diff", ({ id, diff }) => {
+    if (id) {
+      diffs.set(id, [...(diffs.get(id) ?? []), diff]);
+    } else {
+      printDiff(diff);
+    }
+  });
+
+  target.on("tool_result", (entry) => {
+    if (openCall !== entry.id) {
+      if (openCall) printSectionEnd();
+      printSection(`Result: ${entry.name}`);
+      printSectionLine(`ID: ${entry.id}`);
+    }
+    openCall = null;
+    for (const diff of diffs.get(entry.id) ?? []) printDiff(diff);
+    diffs.delete(entry.id);
+
+    const took = entry.duration_ms === undefined ? "" : ` (${entry.duration_ms} ms)`;
+    if (entry.denied) {
+      printSectionLine(`🚫 ${entry.error}`);
+    } else if (entry.error !== undefined) {
+      printSectionLine(`❌ Error${took}: ${entry.error}`);
+    } else {
+      const resultStr = JSON.stringify(entry.result, null, 2);
+      printSectionLine(`✓ Result${took}: ${truncateString(resultStr, 150)}`);
+    }
+    printSectionEnd();
+  });
+
+  target.on("compact", ({ elided, summarized, before, after }) => {
+    close();
+    printSection("Compacting Conversation");
+    if (elided > 0) printSectionLine(`✓ Elided ${elided} old tool output(s)`);
+    if (summarized > 0) printSectionLine(`✓ Summarized ${summarized} older message(s)`);
+    printSectionLine(`Tokens: ${before} → ${after}`);
+    printSectionEnd();
+  });
+
+  target.on("wakeup", ({ timer }) => {
+    close();
+    uiLog(`\n⏰ Timer ${timer.id} fired${timer.note ? `: ${truncateString(timer.note, 80)}` : ""}`);
+  });
+
+  target.on("process_exit", ({ id, command, code, signal }) => {
+    const how = signal ? `was killed (${signal})` : `exited with code ${code}`;
+    uiLog(`\n⚙️  Process ${id} ${how}: ${truncateString(command, 60)}`);
+  });
+
+  target.on("warning", (message) => {
+    // A retried request streams again from the start, in a new section.
+    close();
+    console.warn(`⚠️  ${message}`);
+  });
+}
+
+
+
+let rl = null;
+
+// Questions stack so a tool approval asked while "You: " is pending (e.g.
+// from a timer wakeup) receives the next line instead of hanging. Lines typed
+// (or piped) while nothing is asking are kept for the next question that
+// accepts typeahead; approvals do not, so they only take a line entered
+// after they were shown. Once input ends, questions resolve to null.
+const pendingQuestions = [];
+const typeaheadLines = [];
+let inputClosed = false;
+
+function createReadline() {
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    completer: completeLine,
+  });
+
+  rl.on("line", (line) => {
+    const q = pendingQuestions.pop();
+    if (!q) {
+      typeaheadLines.push(line);
+      return;
+    }
+    q.resolve(line);
+    repromptPending();
+  });
+
+  rl.on("close", () => {
+    inputClosed = true;
+    for (const q of pendingQuestions.splice(0)) q.resolve(null);
+  });
+
+  // On a TTY readline swallows Ctrl-C; hand it to the process handlers.
+  rl.on("SIGINT", () => process.emit("SIGINT", "SIGINT"));
+}
+
+function repromptPending() {
+  const next = pendingQuestions[pendingQuestions.length - 1];
+  if (next) {
+    rl.setPrompt(next.question);
+    rl.prompt();
+  }
+}
+
+// Resolves to null if `signal` aborts before a line arrives, or if input
+// has ended.
+function promptUser(question, signal, { typeahead = true } = {}) {
+  if (typeahead && typeaheadLines.length > 0) {
+    const line = typeaheadLines.shift();
+    console.log(`${question}${line}`);
+    return Promise.resolve(line);
+  }
+  if (inputClosed) {
+    console.log(question);
+    return Promise.resolve(null);
+  }
+  return new Promise((resolve) => {
+    const entry = { question, resolve };
+    pendingQuestions.push(entry);
+    rl.setPrompt(question);
+    rl.prompt();
+
+    signal?.addEventListener(
+      "abort",
+      () => {
+        const i = pendingQuestions.indexOf(entry);
+        if (i === -1) return;
+        pendingQuestions.splice(i, 1);
+        resolve(null);
+        repromptPending();
+      },
+      { once: true }
+    );
+  });
+}
+
+async function promptApproval({ name, target, signal }) {
+  printSectionLine(`⚠️  Approval required: ${truncateString(target ?? name, 100)}`);
+  // Piped input keeps arriving, so any line of it could answer the prompt.
+  if (!process.stdin.isTTY) {
+    return {
+      allowed: false,
+      reason: "Approval required but stdin is not a terminal (use --allow, --permission or --yolo)",
+    };
+  }
+  // Lines typed while the model was working were not meant as an answer.
+  const reply = await promptUser(
+    "│ Allow? [y]es once / [a]lways this session / [n]o: ",
+    signal,
+    { typeahead: false }
+  );
+  if (reply === null) {
+    return { allowed: false, reason: signal?.aborted ? "Interrupted by user" : "No answer from the user" };
+  }
+  const answer = reply.trim().toLowerCase();
+
+  if (answer === "y" || answer === "yes") return { allowed: true };
+  if (answer === "a" || answer === "always") {
+    return { allowed: true, always: true };
+  }
+
+  const note = (
+    (await promptUser("│ Note for the model (optional): ", signal, { typeahead: false })) ?? ""
+  ).trim();
+  return { allowed: false, reason: "Rejected by user", note: note || undefined };
+}
+
+async function denyHeadless({ name }) {
+  return {
+    allowed: false,
+    reason: `Approval required for "${name}" but running headless (use --yolo, --allow or --permission)`,
+  };
+}
+
+
+
+// Only the "summary" strategy asks; "rolling" compacts inside the agent
+// before each request.
+async function checkAndManageContext() {
+  const strategy = agent.config.COMPACT_STRATEGY;
+  const pressure = agent.getContextPressure();
+  if (!pressure || strategy === "rolling") return true;
+
+  console.log(`\n⚠️  ${pressure}`);
+  if (strategy === "off") return false;
+
+  const answer = await promptUser(
+    "Do you want the model to summarize and continue? [y/N] "
+  );
+
+  if (answer?.toLowerCase() === "y") {
+    await summarizeConversation();
+    return true;
+  }
+  return false;
+}
+
+async function summarizeConversation() {
+  printSection("Summarizing Conversation");
+
+  try {
+    await agent.summarize();
+    printSectionLine("✓ Conversation summarized successfully");
+    printSectionEnd();
+  } catch (e) {
+    printSectionLine(`✗ Failed to summarize: ${e.message}`);
+    printSectionEnd();
+  }
+}
+
+// Loads --save, or resumes/starts a session. A session that cannot be
+// resumed is fatal; one that cannot be created only disables persistence.
+async function openConversation(config) {
+  if (config.SAVE_FILE) {
+    const loaded = await agent.load();
+    if (loaded !== null) {
+      uiLog(`📂 Loaded ${loaded} messages from ${config.SAVE_FILE}`);
+    }
+    return;
+  }
+  if (!config.SESSIONS) return;
+
+  let id = null;
+  try {
+    if (config.RESUME) {
+      id = await findSession(config, config.RESUME);
+    } else if (config.CONTINUE) {
+      const cwd = process.cwd();
+      id = (await listSessions(config)).find((s) => s.cwd === cwd)?.id ?? null;
+      if (!id) uiLog("📂 No previous session in this directory, starting a new one");
+    }
+    if (id) {
+      const session = await agent.resumeSession(id);
+      uiLog(
+        `📂 Resumed session ${session.id} "${session.title}" (${agent.conversation.length} messages)`
+      );
+      return;
+    }
+  } catch (e) {
+    console.error(`💥 ${e.message}`);
+    exit(1);
+  }
+
+  try {
+    const session = await agent.startSession();
+    uiLog(`💾 Session ${session.id}`);
+  } catch (e) {
+    console.error(`⚠️  Sessions disabled: ${e.message}`);
+  }
+}
+
+function printTimers() {
+  const timers = agent.listTimers();
+  if (timers.length === 0) {
+    console.log("⏰ No pending timers.");
+    return;
+  }
+  for (const t of timers) {
+    const due = new Date(t.due).toLocaleString();
+    const note = t.note ? `  ${truncateString(t.note, 60)}` : "";
+    console.log(`  ${t.id.padEnd(5)} ${due.padEnd(24)} ${describeTimer(t)}${note}`);
+  }
+}
+
+// The conversation --export renders: the --save file, the --resume session,
+// or else the latest session in this directory.
+async function readTranscriptSource(config) {
+  if (config.SAVE_FILE) {
+    const conversation = JSON.parse(await _readFile(config.SAVE_FILE, { encoding: "utf8" }));
+    return { conversation, meta: { title: sessionTitle(conversation) } };
+  }
+  const id = config.RESUME
+    ? await findSession(config, config.RESUME)
+    : (await listSessions(config)).find((s) => s.cwd === process.cwd())?.id;
+  if (!id) throw new Error("No session in this directory; pick one with --resume <id>");
+  const { conversation, timers: _, ...meta } = await readSession(config, id);
+  return { conversation, meta };
+}
+
+// "-" writes Markdown to stdout; a .html or .htm file gets HTML.
+async function writeTranscript(file, conversation, meta) {
+  const format = file === "-" ? "md" : transcriptFormat(file);
+  const text = await renderTranscript(conversation, { format, meta });
+  if (file === "-") process.stdout.write(text);
+  else await writeFileAtomic(file, text);
+}
+
+async function printSessions(config) {
+  const sessions = await listSessions(config);
+  if (sessions.length === 0) {
+    console.log("💬 No saved sessions.");
+    return;
+  }
+  for (const s of sessions) {
+    const marker = agent?.session?.id === s.id ? "▶" : " ";
+    const updated = s.updated.slice(0, 16).replace("T", " ");
+    console.log(
+      `${marker} ${s.id}  ${updated}  ${String(s.messages).padStart(4)} msgs  ${s.title || "(untitled)"}`
+    );
+    const parent = s.parent ? ` · forked from ${s.parent.id} at message ${s.parent.message}` : "";
+    console.log(`    ${s.model} · ${s.cwd}${parent}`);
+  }
+}
+
+async function forkConversation(count) {
+  try {
+    const from = agent.session?.id;
+    const session = await agent.forkSession(
+      count === undefined ? undefined : Number(count)
+    );
+    console.log(
+      `🌿 Forked${from ? ` ${from}` : ""} into session ${session.id} (${agent.conversation.length} messages)`
+    );
+  } catch (e) {
+    console.error(`⚠️  Fork failed: ${e.message}`);
+  }
+}
+
+async function printCheckpoints() {
+  const checkpoints = await agent.listCheckpoints();
+  if (checkpoints.length === 0) {
+    console.log("🕓 No checkpoints yet.");
+    return;
+  }
+  for (const c of checkpoints) {
+    const created = c.created.slice(0, 16).replace("T", " ");
+    console.log(`🕓 #${c.id}  ${created}  ${c.prompt || "(no prompt)"}`);
+    for (const f of c.files) {
+      console.log(`      ${f.existed ? "~" : "+"} ${f.path}`);
+    }
+  }
+}
+
+async function undoCheckpoint() {
+  try {
+    const checkpoint = await agent.undo();
+    if (!checkpoint) {
+      console.log("🕓 Nothing to undo.");
+      return;
+    }
+    console.log(`↩️  Undid checkpoint #${checkpoint.id} (${checkpoint.files.length} file(s))`);
+  } catch (e) {
+    console.error(`⚠️  Undo failed: ${e.message}`);
+  }
+}
+
+async function rewindCheckpoint(id) {
+  try {
+    const undone = await agent.rewind(id);
+    const files = new Set(undone.flatMap((c) => c.files.map((f) => f.path)));
+    console.log(
+      `⏪ Rewound to before checkpoint #${id}: ${files.size} file(s) restored, ${agent.conversation.length} message(s) kept`
+    );
+  } catch (e) {
+    console.error(`⚠️  Rewind failed: ${e.message}`);
+  }
+}
+
+async function compactConversation() {
+  try {
+    const result = await agent.compact({ force: true });
+    if (!result) {
+      console.log(
+        `📦 Nothing to compact (only the last ${agent.config.COMPACT_KEEP_TURNS} turn(s) are kept verbatim).`
+      );
+    }
+  } catch (e) {
+    console.error(`⚠️  Compaction failed: ${e.message}`);
+  }
+}
+
+function printTokenUsage(config) {
+  const tokens = agent.getConversationTokens();
+  const pct = ((tokens / config.CONTEXT_WINDOW) * 100).toFixed(1);
+  console.log(
+    `📊 Tokens: ${tokens}/${config.CONTEXT_WINDOW} (${pct}%) | Messages: ${agent.conversation.length}`
+  );
+  const instructions = agent.getInstructions();
+  console.log(
+    `    System prompt: ${agent.countTokens(agent.getSystemPrompt())} tokens` +
+      (instructions.length ? ` (incl. ${instructions.map(({ file }) => file).join(", ")})` : "")
+  );
+
+  const turns = agent.getTurnUsage();
+  const shown = turns.slice(-10);
+  if (turns.length > shown.length) {
+    console.log(`    … ${turns.length - shown.length} earlier turn(s)`);
+  }
+  for (const [i, { usage, requests }] of shown.entries()) {
+    const n = turns.length - shown.length + i + 1;
+    console.log(
+      usage
+        ? `    Turn ${n}: ${usage.prompt_tokens} prompt + ${usage.completion_tokens} completion (${requests} request${requests === 1 ? "" : "s"})`
+        : `    Turn ${n}: no usage reported`
+    );
+  }
+}
+
+function printMcpStatus() {
+  if (mcpServers.size === 0) {
+    console.log("🔌 No MCP servers configured.");
+    return;
+  }
+  for (const server of mcpServers.values()) {
+    const icon = server.status === "connected" ? "✓" : "✗";
+    console.log(`${icon} ${server.name} (${server.status})`);
+    if (server.error && server.status !== "connected") {
+      console.log(`    error: ${server.error}`);
+    }
+    for (const [name, entry] of mcpTools) {
+      if (entry.server === server.name) {
+        console.log(`    • ${name} — ${truncateString(entry.description, 60)}`);
+      }
     }
   }
 }
 
+async function registerExtensions(config) {
+  await startMcpServers(config);
+  for (const server of mcpServers.values()) {
+    if (server.status === "connected") {
+      uiLog(`🔌 MCP server "${server.name}": ${server.tools.length} tool(s)`);
+    }
+  }
+  agent.addToolSource(getMcpToolDefs);
 
+  const plugins = await loadPlugins(config);
+  const loaded = [];
+  for (const def of plugins.tools) {
+    try {
+      agent.registerTool(def);
+      loaded.push(def.name);
+    } catch (e) {
+      console.error(`⚠️  Failed to load tool ${def.source}: ${e.message}`);
+    }
+  }
+  if (loaded.length > 0) {
+    uiLog(`🔌 Loaded ${loaded.length} plugin tool(s): ${loaded.join(", ")}`);
+  }
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-});
+  const loadedCommands = [];
+  for (const def of plugins.commands) {
+    try {
+      registerCommand(def);
+      loadedCommands.push(`/${def.name}`);
+    } catch (e) {
+      console.error(`⚠️  Failed to load command ${def.source}: ${e.message}`);
+    }
+  }
+  if (loadedCommands.length > 0) {
+    uiLog(`🔌 Loaded ${loadedCommands.length} plugin command(s): ${loadedCommands.join(", ")}`);
+  }
 
-function promptUser(question) {
-  return new Promise((resolve) => rl.question(question, resolve));
+  for (const entry of config.TOOLS) {
+    const name = entry.replace(/^-/, "");
+    if (!agent.hasTool(name)) {
+      console.error(`⚠️  --tools references unknown tool "${name}"`);
+    }
+  }
 }
 
 
 
 function setupSignalHandlers() {
+  // Ctrl-C at the interactive prompt is the normal way out; any other signal
+  // exits with 128 + its number so a calling script sees the run was cut off.
   const cleanup = async (signal) => {
-    console.log(`\n\n📤 Received ${signal}, saving conversation...`);
-    await saveConversation();
-    console.log("👋 Goodbye!");
-    rl.close();
-    process.exit(0);
+    uiLog(`\n\n📤 Received ${signal}, saving conversation...`);
+    stopMcpServers();
+    stopJobs();
+    await agent.save();
+    uiLog("👋 Goodbye!");
+    rl?.close();
+    process.exit(signal === "SIGINT" && rl ? 0 : 128 + os.constants.signals[signal]);
   };
 
-  process.on("SIGINT", () => cleanup("SIGINT"));
+  // In the REPL, Ctrl-C stops the running turn and returns to the prompt;
+  // at an idle prompt (or headless) it saves and exits. Presses while an
+  // interrupted turn is still waiting for its tool calls do not exit.
+  process.on("SIGINT", () => {
+    if (rl && agent.isProcessing) {
+      uiLog(
+        agent.interrupt()
+          ? "\n⏹️  Interrupted (press Ctrl-C again at the prompt to exit)"
+          : "\n⏳ Still stopping: waiting for running tool calls to finish"
+      );
+      return;
+    }
+    cleanup("SIGINT");
+  });
   process.on("SIGTERM", () => cleanup("SIGTERM"));
 
   // SIGHUP may not exist on Windows
@@ -876,100 +6605,778 @@ function setupSignalHandlers() {
     process.on("SIGHUP", () => cleanup("SIGHUP"));
   }
 
-  process.on("uncaughtException", async (err) => {
-    console.error("\n💥 Uncaught exception:", err.message);
-    await saveConversation();
+  // Save once: reporting the error can itself fail (e.g. EPIPE on a closed
+  // stdout) and re-enter these handlers.
+  let crashing = false;
+  const crash = async (label, detail) => {
+    if (crashing) return;
+    crashing = true;
+    try {
+      console.error(`\n💥 ${label}:`, detail);
+    } catch (_) {
+      // Nowhere to report it
+    }
+    stopMcpServers();
+    stopJobs();
+    await agent.save();
     process.exit(1);
-  });
+  };
 
-  process.on("unhandledRejection", async (reason) => {
-    console.error("\n💥 Unhandled rejection:", reason);
-    await saveConversation();
-    process.exit(1);
-  });
+  process.on("uncaughtException", (err) => crash("Uncaught exception", err.message));
+  process.on("unhandledRejection", (reason) => crash("Unhandled rejection", reason));
 }
 
 
 
-async function main() {
-  setupSignalHandlers();
-
+function printBanner(config) {
   console.log("╔════════════════════════════════════════════════════════════╗");
   console.log("║              🤖 EMAgent - CLI AI Assistant                 ║");
   console.log("╠════════════════════════════════════════════════════════════╣");
-  console.log(`║ Model: ${CONFIG.MODEL.padEnd(52)}║`);
+  console.log(`║ Model: ${config.MODEL.padEnd(52)}║`);
+  if (config.PROFILE) {
+    console.log(`║ Profile: ${String(config.PROFILE).padEnd(50)}║`);
+  }
+  if (config.FALLBACKS.length > 0) {
+    const names = config.FALLBACKS.map((entry) => (typeof entry === "string" ? entry : entry.MODEL));
+    console.log(`║ Fallbacks: ${truncateString(names.join(", "), 45).padEnd(48)}║`);
+  }
   console.log(
-    `║ Server: ${(CONFIG.LM_HOST + ":" + CONFIG.LM_PORT).padEnd(51)}║`
+    `║ Server: ${(config.BASE_URL || config.LM_HOST + ":" + config.LM_PORT).padEnd(51)}║`
   );
-  console.log(`║ Context: ${String(CONFIG.CONTEXT_WINDOW).padEnd(50)}║`);
+  console.log(`║ Context: ${String(config.CONTEXT_WINDOW).padEnd(50)}║`);
   console.log(
-    `║ Tool Timeout: ${String(CONFIG.TOOL_TIMEOUT + "ms").padEnd(45)}║`
+    `║ Tool Timeout: ${String(config.TOOL_TIMEOUT + "ms").padEnd(45)}║`
   );
-  if (CONFIG.SAVE_FILE) {
-    console.log(`║ Save File: ${CONFIG.SAVE_FILE.padEnd(48)}║`);
+  if (config.SAVE_FILE) {
+    console.log(`║ Save File: ${config.SAVE_FILE.padEnd(48)}║`);
+  }
+  if (config.WORKSPACE) {
+    console.log(`║ Workspace: ${config.WORKSPACE.padEnd(48)}║`);
   }
   console.log("╠════════════════════════════════════════════════════════════╣");
-  console.log("║ Commands: exit, save, clear, tokens                        ║");
+  console.log("║ Commands: /help, /model, /retry, /edit, /tools, /exit      ║");
+  console.log("║           (Tab completes command names)                    ║");
   console.log("╚════════════════════════════════════════════════════════════╝\n");
+}
 
-  await loadConversation();
+async function readStdin() {
+  if (process.stdin.isTTY) return "";
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
 
-  while (true) {
-    const userInput = await promptUser("You: ");
-    if (!userInput.trim()) continue;
+async function runHeadless() {
+  const { config } = agent;
+  const input = await readStdin();
+  const text = [config.PROMPT, input]
+    .filter((part) => part && part.trim())
+    .join("\n\n");
+
+  if (!text) {
+    console.error("⚠️  Empty prompt: pass text to --prompt or pipe it on stdin");
+    return EXIT_CODES.MODEL_ERROR;
+  }
+  // Only --prompt is scanned for @image mentions; piped input is data.
+  const content = await prepareMessage(text, config.PROMPT ?? "");
+  if (content === null) return EXIT_CODES.MODEL_ERROR;
+
+  if (config.OUTPUT === "stream-json") {
+    const forward = (type, toData) => {
+      agent.on(type, (payload) => {
+        process.stdout.write(JSON.stringify({ type, ...toData(payload) }) + "\n");
+      });
+    };
+    forward("content", (text) => ({ text }));
+    forward("reasoning", (text) => ({ text }));
+    forward("tool_call", (call) => call);
+    forward("tool_result", (entry) => entry);
+    forward("usage", (usage) => ({ usage }));
+    forward("compact", (info) => info);
+    forward("file_diff", (info) => info);
+  }
 
-    const cmd = userInput.toLowerCase().trim();
+  let turn = null;
+  let error = null;
+  try {
+    turn = await agent.send(content);
+  } catch (err) {
+    console.error(`\n⚠️  Error: ${err.message ?? String(err)}`);
+    error = err;
+  }
 
-    if (cmd === "exit" || cmd === "quit") {
-      await saveConversation();
-      console.log("👋 Goodbye!");
-      break;
-    }
+  const toolCalls = turn?.toolCalls ?? [];
+  const exitCode = error
+    ? EXIT_CODES.MODEL_ERROR
+    : toolCalls.some((c) => c.denied)
+      ? EXIT_CODES.TOOL_DENIED
+      : EXIT_CODES.SUCCESS;
+
+  const answer = turn?.content ?? "";
+  const summary = {
+    result: answer,
+    exit_code: exitCode,
+    error: error ? error.message ?? String(error) : undefined,
+    model: config.MODEL,
+    tool_calls: toolCalls,
+    usage: turn?.usage ?? null,
+  };
+
+  let out = "";
+  if (config.OUTPUT === "json") {
+    out = JSON.stringify(summary, null, 2) + "\n";
+  } else if (config.OUTPUT === "stream-json") {
+    out = JSON.stringify({ type: "result", ...summary }) + "\n";
+  } else if (answer) {
+    out = answer.endsWith("\n") ? answer : answer + "\n";
+  }
+  await new Promise((resolve) => process.stdout.write(out, resolve));
+
+  return exitCode;
+}
+
+// `emagent config show [options]`: the effective config and where each
+// value came from.
+function showConfig(argv) {
+  if (argv[0] !== "show") {
+    console.error("⚠️  Usage: emagent config show [options]");
+    exit(1);
+  }
+  const { config, sources, files, loaded, profiles } = resolveConfig(argv.slice(1));
+
+  console.log("⚙️  Config files (lowest precedence first):");
+  for (const file of files) {
+    console.log(`  ${loaded.includes(file) ? "✓" : "·"} ${file}`);
+  }
+  if (profiles.length > 0) {
+    console.log(`   Profiles: ${profiles.join(", ")}`);
+  }
+  console.log();
+
+  for (const [key, value] of Object.entries(config)) {
+    const shown = truncateString(formatConfigValue(key, value), 37);
+    console.log(`  ${key.padEnd(22)} ${shown.padEnd(40)} ${sources[key]}`);
+  }
+}
+
+// Slash commands typed at the prompt. A command has a `name`, a
+// `description`, optional `usage` (its arguments), `aliases` and
+// `complete(arg)` returning tab completions for the argument, and
+// `run(args, context)`, where `args` is the text after the name. Returning
+// EXIT_REPL ends the session.
+
+const commands = new Map();
+const commandAliases = new Map();
+const EXIT_REPL = Symbol("exit");
+
+// Typed without the slash, these still work as before.
+const BARE_COMMANDS = new Set([
+  "exit", "quit", "save", "sessions", "fork", "delete", "checkpoints", "timers",
+  "undo", "rewind", "clear", "mcp", "compact", "tokens",
+]);
+
+function registerCommand(def) {
+  if (!def || typeof def.run !== "function") {
+    throw new Error(`command ${JSON.stringify(def?.name)} has no run function`);
+  }
+  validateCommandDef(def);
+  for (const name of [def.name, ...(def.aliases ?? [])]) {
+    if (findCommand(name)) throw new Error(`command "/${name}" is already registered`);
+  }
+  commands.set(def.name, def);
+  for (const alias of def.aliases ?? []) commandAliases.set(alias, def.name);
+}
 
-    if (cmd === "save") {
-      if (CONFIG.SAVE_FILE) {
-        await saveConversation();
-        console.log(`💾 Saved to ${CONFIG.SAVE_FILE}`);
+function findCommand(name) {
+  return commands.get(name) ?? commands.get(commandAliases.get(name)) ?? null;
+}
+
+// `{ def, args }` if the line is a command, else null. Only a registered
+// command name counts, so a message such as "/etc/hosts is empty" is sent
+// as typed.
+function parseCommand(line) {
+  const text = line.trim();
+  if (text.startsWith("/")) {
+    const [, name, args = ""] = text.match(/^\/(\S*)\s*([\s\S]*)$/);
+    const def = findCommand(name.toLowerCase());
+    return def ? { name: name.toLowerCase(), def, args } : null;
+  }
+  const bare = text.match(/^([a-z]+)(?:\s+(#?\d[\da-f-]*))?$/i);
+  if (bare && BARE_COMMANDS.has(bare[1].toLowerCase())) {
+    const name = bare[1].toLowerCase();
+    return { name, def: findCommand(name), args: bare[2] ?? "" };
+  }
+  return null;
+}
+
+async function runCommand({ def, args }) {
+  try {
+    return await def.run(args, {
+      agent,
+      config: agent.config,
+      send: (text) => runTurn(() => agent.send(text)),
+      prompt: (question) => promptUser(question),
+    });
+  } catch (e) {
+    console.error(`⚠️  /${def.name} failed: ${e.message}`);
+    return null;
+  }
+}
+
+// Tab completion for readline: command names, then their arguments.
+function completeLine(line) {
+  if (!line.startsWith("/")) return [[], line];
+  const space = line.search(/\s/);
+  if (space < 0) {
+    const names = [...commands.keys()].sort().map((name) => `/${name}`);
+    const hits = names.filter((name) => name.startsWith(line.toLowerCase()));
+    return [hits.length ? hits : names, line];
+  }
+  const def = findCommand(line.slice(1, space).toLowerCase());
+  const arg = line.slice(space).trimStart();
+  if (!def?.complete) return [[], arg];
+  try {
+    const prefix = arg.toLowerCase();
+    return [def.complete(arg).filter((option) => option.toLowerCase().startsWith(prefix)), arg];
+  } catch (_) {
+    return [[], arg];
+  }
+}
+
+// `text` with the images its @mentions (in `mentions`) name attached, or
+// null after reporting an image that cannot be used.
+async function prepareMessage(text, mentions = text) {
+  let images;
+  try {
+    images = await readImageMentions(mentions, agent.config);
+  } catch (e) {
+    console.error(`⚠️  ${e.message}`);
+    return null;
+  }
+  for (const image of images) {
+    uiLog(`📎 Attached ${image.path} (${image.width}×${image.height}, ${formatBytes(image.size)})`);
+  }
+  return images.length > 0 ? [{ type: "text", text }, ...images] : text;
+}
+
+// Runs one model turn the way a typed message does.
+async function runTurn(start) {
+  const canContinue = await checkAndManageContext();
+  if (!canContinue) {
+    console.log(
+      "⚠️  Continuing without summarization. Context may be truncated."
+    );
+  }
+
+  try {
+    await start();
+  } catch (err) {
+    console.error(`\n⚠️  Error: ${err.message ?? String(err)}`);
+  }
+  console.log();
+}
+
+// Secrets are shown by their last four characters only.
+function maskSecret(value) {
+  return `…${String(value).slice(-4)}`;
+}
+
+function maskHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers ?? {}).map(([name, v]) => [name, maskSecret(v)]));
+}
+
+function formatConfigValue(key, value) {
+  if (key === "API_KEY" && value) return JSON.stringify(maskSecret(value));
+  if (key === "HEADERS") return JSON.stringify(maskHeaders(value));
+  if (key === "FALLBACKS") {
+    const masked = value.map((entry) => {
+      if (typeof entry !== "object" || entry === null) return entry;
+      const out = { ...entry };
+      if (out.API_KEY) out.API_KEY = maskSecret(out.API_KEY);
+      if (out.HEADERS) out.HEADERS = maskHeaders(out.HEADERS);
+      return out;
+    });
+    return JSON.stringify(masked);
+  }
+  return JSON.stringify(value);
+}
+
+function allToolNames() {
+  const names = [
+    ...agent.tools.keys(),
+    ...agent.toolSources.flatMap((source) => source().map((def) => def.name)),
+  ];
+  return [...new Set(names)].sort();
+}
+
+// Rewrites TOOLS as a list of disabled tools, which stays correct when
+// --tools named the enabled ones instead.
+function setTool(name, on) {
+  if (!agent.hasTool(name)) throw new Error(`Unknown tool "${name}"`);
+  const disabled = allToolNames().filter((t) => t !== name && !agent.isToolEnabled(t));
+  if (!on) disabled.push(name);
+  agent.config.TOOLS = disabled.map((t) => `-${t}`);
+}
+
+function printTools() {
+  for (const name of allToolNames()) {
+    console.log(`  ${agent.isToolEnabled(name) ? "✓" : "·"} ${name}`);
+  }
+}
+
+function printHistory(count) {
+  const { conversation } = agent;
+  const start = Math.max(0, conversation.length - count);
+  if (conversation.length === 0) {
+    console.log("📜 No messages yet.");
+    return;
+  }
+  if (start > 0) console.log(`    … ${start} earlier message(s)`);
+  const icons = { user: "🧑", assistant: "🤖", tool: "🔧" };
+  for (const [i, msg] of conversation.slice(start).entries()) {
+    const text = messageText(msg.content ?? "");
+    const images = Array.isArray(msg.content)
+      ? msg.content.filter((p) => p.type === "image").map((p) => `[image ${p.path}]`)
+      : [];
+    const calls = (msg.tool_calls ?? []).map((c) => `→ ${c.function.name}`);
+    const reasoning = msg.reasoning ? "💭" : "";
+    const line = [reasoning, text.replace(/\s+/g, " ").trim(), ...images, ...calls]
+      .filter(Boolean)
+      .join(" ");
+    console.log(`${String(start + i + 1).padStart(4)} ${icons[msg.role] ?? "  "} ${truncateString(line, 100)}`);
+  }
+}
+
+async function editLastMessage(text) {
+  const index = agent.getLastUserMessageIndex();
+  if (index < 0) {
+    console.log("✏️  No message to edit.");
+    return;
+  }
+  let content = text.trim();
+  if (!content) {
+    const previous = agent.conversation[index].content;
+    // Pre-fill the line so it can be changed rather than retyped.
+    const prefill = rl.terminal && typeaheadLines.length === 0;
+    const reply = promptUser("Edit: ");
+    if (prefill) rl.write(messageText(previous).replace(/\s*\n\s*/g, " "));
+    content = ((await reply) ?? "").trim();
+  }
+  if (!content) {
+    console.log("✏️  Edit cancelled.");
+    return;
+  }
+  const message = await prepareMessage(content);
+  if (message !== null) await runTurn(() => agent.retry(message));
+}
+
+const BUILTIN_COMMANDS = [
+  {
+    name: "help",
+    usage: "[command]",
+    description: "List commands, or show one command's usage",
+    complete: () => [...commands.keys()],
+    run(args) {
+      const name = args.trim().replace(/^\//, "").toLowerCase();
+      const defs = name ? [findCommand(name)] : [...commands.values()];
+      if (!defs[0]) {
+        console.log(`⚠️  Unknown command "/${name}"`);
+        return;
+      }
+      for (const def of defs) {
+        const synopsis = `/${def.name}${def.usage ? ` ${def.usage}` : ""}`;
+        const aliases = def.aliases?.length ? ` (also ${def.aliases.map((a) => `/${a}`).join(", ")})` : "";
+        console.log(`  ${synopsis.padEnd(26)} ${def.description ?? ""}${aliases}`);
+      }
+    },
+  },
+  {
+    name: "exit",
+    aliases: ["quit"],
+    description: "Exit the agent",
+    async run() {
+      await agent.save();
+      console.log("👋 Goodbye!");
+      return EXIT_REPL;
+    },
+  },
+  {
+    name: "save",
+    description: "Save the conversation now",
+    async run() {
+      if (agent.session) {
+        await agent.save();
+        console.log(`💾 Saved session ${agent.session.id}`);
+      } else if (agent.config.SAVE_FILE) {
+        await agent.save();
+        console.log(`💾 Saved to ${agent.config.SAVE_FILE}`);
       } else {
         console.log("⚠️  No save file specified. Use --save <file>");
       }
-      continue;
+    },
+  },
+  {
+    name: "clear",
+    description: "Clear conversation history",
+    async run() {
+      agent.conversation = [];
+      console.log("🗑️  Conversation cleared.");
+      await agent.save();
+    },
+  },
+  {
+    name: "compact",
+    description: "Summarize older turns now, keeping recent ones",
+    run: () => compactConversation(),
+  },
+  {
+    name: "tokens",
+    description: "Show context size and per-turn token usage",
+    run: () => printTokenUsage(agent.config),
+  },
+  {
+    name: "history",
+    usage: "[n]",
+    description: "Show the last n messages (default 10)",
+    run(args) {
+      const count = args.trim() ? Number(args) : 10;
+      if (!Number.isInteger(count) || count < 1) throw new Error("n must be a positive integer");
+      printHistory(count);
+    },
+  },
+  {
+    name: "retry",
+    description: "Drop the last answer and ask again",
+    async run() {
+      if (agent.getLastUserMessageIndex() < 0) {
+        console.log("🔁 No message to retry.");
+        return;
+      }
+      await runTurn(() => agent.retry());
+    },
+  },
+  {
+    name: "edit",
+    usage: "[text]",
+    description: "Rewrite your last message and resend it",
+    run: (args) => editLastMessage(args),
+  },
+  {
+    name: "model",
+    usage: "[name]",
+    description: "Show or switch the model",
+    run(args) {
+      const name = args.trim();
+      if (name) agent.config.MODEL = name;
+      console.log(`🧠 Model: ${agent.config.MODEL}`);
+    },
+  },
+  {
+    name: "temp",
+    usage: "[value]",
+    description: "Show or set the temperature",
+    run(args) {
+      if (args.trim()) {
+        const temp = Number(args);
+        if (!Number.isFinite(temp) || temp < 0) throw new Error("temperature must be a number ≥ 0");
+        agent.config.TEMP = temp;
+      }
+      console.log(`🌡️  Temperature: ${agent.config.TEMP}`);
+    },
+  },
+  {
+    name: "reasoning",
+    usage: "[show|collapse|hide]",
+    description: "Show or set how streamed reasoning is displayed",
+    complete: () => REASONING_DISPLAY_MODES,
+    run(args) {
+      const mode = args.trim().toLowerCase();
+      if (mode) {
+        if (!REASONING_DISPLAY_MODES.includes(mode)) {
+          throw new Error(`expected ${REASONING_DISPLAY_MODES.join("|")}`);
+        }
+        agent.config.REASONING_DISPLAY = mode;
+      }
+      console.log(`💭 Reasoning: ${agent.config.REASONING_DISPLAY}`);
+    },
+  },
+  {
+    name: "set",
+    usage: "[KEY [value]]",
+    description: "Show settings, or change one for this run",
+    complete: () => Object.keys(DEFAULTS).map((key) => `${key} `),
+    run(args) {
+      const [, key = "", value] = args.trim().match(/^(\S*)\s*([\s\S]*)$/);
+      const { config } = agent;
+      const keys = key ? [key.toUpperCase()] : Object.keys(config);
+      if (!(keys[0] in DEFAULTS)) throw new Error(`Unknown setting "${key}"`);
+      if (key && value) {
+        const current = config[keys[0]];
+        const parsed = value === "null" ? null : parseEnvValue(current ?? "", value);
+        try {
+          validateConfigValue(keys[0], parsed);
+        } catch (e) {
+          throw new Error(`${keys[0]}: ${e.message}`);
+        }
+        config[keys[0]] = parsed;
+      }
+      for (const k of keys) {
+        console.log(`  ${k.padEnd(22)} ${truncateString(formatConfigValue(k, config[k]), 60)}`);
+      }
+    },
+  },
+  {
+    name: "tools",
+    usage: "[on|off <name>]",
+    description: "List tools, or turn one on or off",
+    complete(arg) {
+      const mode = arg.match(/^(on|off)\s+/);
+      if (!mode) return ["on ", "off "];
+      return allToolNames().map((name) => `${mode[0]}${name}`);
+    },
+    run(args) {
+      const [mode, name] = args.trim().split(/\s+/);
+      if (!mode) return printTools();
+      if (!["on", "off"].includes(mode) || !name) throw new Error("usage: /tools on|off <name>");
+      setTool(name, mode === "on");
+      console.log(`🔧 ${name} ${mode === "on" ? "enabled" : "disabled"}`);
+    },
+  },
+  {
+    name: "sessions",
+    description: "List saved sessions",
+    run: () => printSessions(agent.config),
+  },
+  {
+    name: "fork",
+    usage: "[n]",
+    description: "Branch into a new session, keeping the first n messages",
+    run: (args) => forkConversation(args.trim() || undefined),
+  },
+  {
+    name: "delete",
+    usage: "<id>",
+    description: "Delete a saved session",
+    async run(args) {
+      if (!args.trim()) throw new Error("usage: /delete <id>");
+      const id = await findSession(agent.config, args.trim());
+      await deleteSession(agent.config, id);
+      console.log(`🗑️  Deleted session ${id}`);
+    },
+  },
+  {
+    name: "checkpoints",
+    description: "List file checkpoints",
+    run: () => printCheckpoints(),
+  },
+  {
+    name: "undo",
+    description: "Revert the files changed by the last checkpoint",
+    run: () => undoCheckpoint(),
+  },
+  {
+    name: "rewind",
+    usage: "<n>",
+    description: "Restore files and conversation to before checkpoint n",
+    run(args) {
+      const id = Number(args.trim().replace(/^#/, ""));
+      if (!Number.isInteger(id) || id < 1) throw new Error("usage: /rewind <n>");
+      return rewindCheckpoint(id);
+    },
+  },
+  {
+    name: "timers",
+    description: "List pending timers",
+    run: () => printTimers(),
+  },
+  {
+    name: "export",
+    usage: "<file>",
+    description: "Save the conversation as Markdown, or HTML for .html",
+    async run(args) {
+      const file = args.trim();
+      if (!file) throw new Error("usage: /export <file.md|file.html>");
+      const meta = agent.session ?? { title: sessionTitle(agent.conversation) };
+      await writeTranscript(file, agent.conversation, { ...meta, model: agent.config.MODEL });
+      if (file !== "-") console.log(`📤 Exported ${agent.conversation.length} messages to ${file}`);
+    },
+  },
+  {
+    name: "mcp",
+    description: "Show MCP servers and their tools",
+    run: () => printMcpStatus(),
+  },
+];
+
+for (const def of BUILTIN_COMMANDS) registerCommand(def);
+
+
+
+async function main() {
+  const argv = process.argv.slice(2);
+  if (argv[0] === "config") {
+    showConfig(argv.slice(1));
+    exit(0);
+  }
+
+  const config = getConfig(argv);
+  const isHeadless = config.PROMPT !== null;
+
+  if (config.LIST_SESSIONS) {
+    await printSessions(config);
+    exit(0);
+  }
+
+  if (config.EXPORT) {
+    try {
+      const { conversation, meta } = await readTranscriptSource(config);
+      await writeTranscript(config.EXPORT, conversation, meta);
+      if (config.EXPORT !== "-") {
+        console.log(`📤 Exported ${conversation.length} messages to ${config.EXPORT}`);
+      }
+      exit(0);
+    } catch (e) {
+      console.error(`⚠️  Export failed: ${e.message}`);
+      exit(1);
     }
+  }
 
-    if (cmd === "clear") {
-      conversation = [];
-      console.log("🗑️  Conversation cleared.");
-      await saveConversation();
-      continue;
+  if (config.DELETE_SESSION) {
+    try {
+      const id = await findSession(config, config.DELETE_SESSION);
+      await deleteSession(config, id);
+      console.log(`🗑️  Deleted session ${id}`);
+      exit(0);
+    } catch (e) {
+      console.error(`⚠️  ${e.message}`);
+      exit(1);
     }
+  }
 
-    if (cmd === "tokens") {
-      const tokens = getConversationTokens();
-      const pct = ((tokens / CONFIG.CONTEXT_WINDOW) * 100).toFixed(1);
-      console.log(
-        `📊 Tokens: ${tokens}/${CONFIG.CONTEXT_WINDOW} (${pct}%) | Messages: ${conversation.length}`
-      );
-      continue;
+  if (isHeadless) {
+    // Timers can never fire after a one-shot run exits.
+    config.TOOLS.push("-set_time_out");
+    // stdout is reserved for the result; sections only render with --verbose.
+    uiStream = config.VERBOSE ? process.stderr : null;
+  }
+
+  agent = new EMAgent({
+    config,
+    approve: isHeadless ? denyHeadless : promptApproval,
+  });
+  attachRenderer(agent);
+  setupSignalHandlers();
+  process.on("exit", () => {
+    agent.releaseSession();
+    stopJobs();
+  });
+
+  if (config.WORKSPACE) {
+    const info = await stat(config.WORKSPACE).catch(() => null);
+    if (!info?.isDirectory()) {
+      console.error(`💥 Workspace is not a directory: ${config.WORKSPACE}`);
+      exit(1);
     }
+  }
 
-    const canContinue = await checkAndManageContext();
-    if (!canContinue) {
-      console.log(
-        "⚠️  Continuing without summarization. Context may be truncated."
-      );
+  if (config.SYSTEM_PROMPT == null && config.SYSTEM_FILE) {
+    try {
+      readFileSync(config.SYSTEM_FILE, "utf8");
+    } catch (e) {
+      console.error(`💥 Cannot read system prompt file: ${e.message}`);
+      exit(1);
+    }
+  }
+
+  if (config.TOKENIZER) {
+    try {
+      agent.tokenizer = await loadTokenizer(config.TOKENIZER);
+    } catch (e) {
+      console.error(`⚠️  Failed to load tokenizer ${config.TOKENIZER}: ${e.message}`);
     }
+  }
+
+  if (!isHeadless) {
+    createReadline();
+    printBanner(config);
+  }
+
+  await registerExtensions(config);
+  await openConversation(config);
 
-    conversation.push({ role: "user", content: userInput });
+  if (isHeadless) {
+    const code = await runHeadless();
+    stopMcpServers();
+    stopJobs();
+    exit(code);
+  }
+
+  for (const { file } of agent.getInstructions()) {
+    console.log(`📋 Using instructions from ${file}`);
+  }
+  if (agent.timers.size > 0) {
+    console.log(`⏰ Restored ${agent.timers.size} timer(s); type /timers to list them`);
+  }
+  agent.startTimers();
+
+  while (true) {
+    const userInput = await promptUser("You: ");
+    if (userInput === null) break;
+    if (!userInput.trim()) continue;
 
-    await processPendingAndSend();
-    console.log();
+    const command = parseCommand(userInput);
+    if (command) {
+      if ((await runCommand(command)) === EXIT_REPL) break;
+      continue;
+    }
+
+    // "//" escapes a message that would otherwise be a command.
+    const message = /^\s*\/\//.test(userInput) ? userInput.trim().slice(1) : userInput;
+    const content = await prepareMessage(message);
+    if (content !== null) await runTurn(() => agent.send(content));
   }
 
+  agent.close();
+  stopMcpServers();
   rl.close();
 }
 
-main().catch(async (e) => {
-  console.error("💥 Fatal error:", e);
-  await saveConversation();
-  process.exit(1);
-});
\ No newline at end of file
+module.exports = {
+  EMAgent,
+  DEFAULTS,
+  BUILTIN_TOOLS,
+  createConfig,
+  getConfig,
+  loadPluginTools,
+  loadTokenizer,
+  readImagePart,
+  renderTranscript,
+  listSessions,
+  findSession,
+  deleteSession,
+  startMcpServers,
+  stopMcpServers,
+  getMcpToolDefs,
+  // Internal helpers, exported for the unit tests in test/
+  shellCommandTargets,
+  SHELL_META_RE,
+  splitTurns,
+  parsePatch,
+  findHunk,
+  indentShift,
+  applyHunks,
+  pathGlobToRegex,
+  compileGitignore,
+  parseCron,
+  nextCronTime,
+};
+
+if (require.main === module) {
+  main().catch(async (e) => {
+    console.error("💥 Fatal error:", e);
+    stopMcpServers();
+    stopJobs();
+    await agent?.save();
+    process.exit(1);
+  });
+}
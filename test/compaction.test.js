@@ -0,0 +1,130 @@
+"use strict";
+
+// Rolling compaction: where turns start, and what compactHistory keeps,
+// elides and folds into the summary. The summary request is stubbed.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { EMAgent, splitTurns } = require("../EMAgent.js");
+
+const user = (content) => ({ role: "user", content });
+const reply = (content) => ({ role: "assistant", content });
+const call = (id) => ({
+  role: "assistant",
+  content: null,
+  tool_calls: [{ id, type: "function", function: { name: "read_file", arguments: "{}" } }],
+});
+const result = (id, content = "ok") => ({ role: "tool", tool_call_id: id, content });
+
+function compactingAgent(conversation, config = {}) {
+  const agent = new EMAgent({
+    config: { COMPACT_KEEP_TURNS: 2, COMPACT_TOOL_OUTPUT: 100, CONTEXT_WINDOW: 1000000, ...config },
+    conversation,
+  });
+  agent.summarized = [];
+  agent.requestSummary = async (messages) => {
+    agent.summarized.push(messages);
+    return "the story so far";
+  };
+  return agent;
+}
+
+test("a turn starts at each user message and each reply after tool results", () => {
+  const messages = [
+    user("fix it"),
+    call("1"),
+    result("1"),
+    call("2"),
+    result("2"),
+    reply("done"),
+    user("thanks"),
+    reply("welcome"),
+  ];
+  assert.deepEqual(splitTurns(messages), [
+    [messages[0], messages[1], messages[2]],
+    [messages[3], messages[4]],
+    [messages[5]],
+    [messages[6], messages[7]],
+  ]);
+});
+
+test("tool results always stay in the turn of the call that made them", () => {
+  const messages = [user("go"), call("1"), result("1"), result("1b"), reply("done")];
+  const turns = splitTurns(messages);
+  assert.deepEqual(turns[0], [messages[0], messages[1], messages[2], messages[3]]);
+  assert.ok(turns.every((turn) => turn[0].role !== "tool"));
+});
+
+test("messages before the first user message form a turn of their own", () => {
+  const messages = [reply("hello"), user("hi")];
+  assert.deepEqual(splitTurns(messages), [[messages[0]], [messages[1]]]);
+  assert.deepEqual(splitTurns([]), []);
+});
+
+test("nothing is compacted while the history fits in the kept turns", async () => {
+  const agent = compactingAgent([user("a"), reply("b"), user("c"), reply("d")]);
+  assert.equal(await agent.compactHistory({ force: true }), null);
+  assert.equal(agent.summarized.length, 0);
+});
+
+test("long tool outputs in older turns are elided first", async () => {
+  const long = "x".repeat(500);
+  const conversation = [
+    user("read it"),
+    call("1"),
+    result("1", long),
+    reply("read"),
+    user("again"),
+    call("2"),
+    result("2", long),
+  ];
+  const agent = compactingAgent(conversation);
+
+  const outcome = await agent.compactHistory();
+
+  assert.equal(outcome.elided, 1);
+  assert.equal(outcome.summarized, 0);
+  assert.equal(agent.summarized.length, 0);
+  assert.equal(agent.conversation.length, conversation.length);
+  assert.equal(agent.conversation[2].elided, true);
+  assert.match(JSON.parse(agent.conversation[2].content).note, /elided during compaction \(500 chars\)/);
+  // The kept turns are untouched.
+  assert.deepEqual(agent.conversation.slice(3), conversation.slice(3));
+});
+
+test("older turns are folded into the summary at a turn boundary", async () => {
+  const conversation = [
+    user("fix the bug"),
+    call("1"),
+    result("1"),
+    call("2"),
+    result("2"),
+    reply("fixed"),
+    user("and the tests?"),
+    reply("passing"),
+  ];
+  const agent = compactingAgent(conversation);
+
+  const outcome = await agent.compactHistory({ force: true });
+
+  assert.equal(outcome.summarized, 5);
+  assert.deepEqual(agent.summarized[0], conversation.slice(0, 5));
+  assert.equal(agent.conversation[0].summary, true);
+  assert.match(agent.conversation[0].content, /the story so far/);
+  assert.deepEqual(agent.conversation.slice(1), conversation.slice(5));
+});
+
+test("an earlier summary is folded into the next one", async () => {
+  const agent = compactingAgent([user("a"), reply("b"), user("c"), reply("d"), user("e"), reply("f")]);
+  await agent.compactHistory({ force: true });
+  const head = agent.conversation[0];
+  agent.conversation.push(user("g"), reply("h"));
+
+  await agent.compactHistory({ force: true });
+
+  assert.equal(agent.summarized[1][0], head);
+  assert.deepEqual(agent.summarized[1].slice(1), [user("c"), reply("d")]);
+  assert.equal(agent.conversation.filter((m) => m.summary).length, 1);
+  assert.deepEqual(agent.conversation.slice(1), [user("e"), reply("f"), user("g"), reply("h")]);
+});
@@ -0,0 +1,128 @@
+"use strict";
+
+// Globs and .gitignore rules, then the glob, list_directory and grep tools
+// over a small tree in a temporary workspace.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { EMAgent, BUILTIN_TOOLS, pathGlobToRegex, compileGitignore } = require("../EMAgent.js");
+
+let dir;
+
+const FILES = {
+  ".gitignore": "# build output\n*.log\n!keep.log\n/build\nnode_modules/\n",
+  ".hidden/h.js": "hidden\n",
+  "a.js": "const hello = 1;\n",
+  "gen.js": "hello from the top\n",
+  "debug.log": "hello log\n",
+  "keep.log": "kept\n",
+  "build/out.js": "hello build\n",
+  "src/.gitignore": "gen.js\n",
+  "src/gen.js": "hello generated\n",
+  "src/main.js": "// main\nhello();\nbye();\n",
+  "src/build/x.js": "x\n",
+  "src/node_modules/m.js": "hello module\n",
+  "evil.txt": "a".repeat(30000) + "!\n",
+};
+
+before(() => {
+  dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "emagent-navigation-")));
+  for (const [name, content] of Object.entries(FILES)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function runTool(name, args, config = {}) {
+  const agent = new EMAgent({ config: { WORKSPACE: dir, ...config } });
+  const tool = BUILTIN_TOOLS.find((t) => t.name === name);
+  return tool.handler(args, {
+    agent,
+    config: agent.config,
+    resolvePath: (p, options) => agent.resolvePath(p, options),
+  });
+}
+
+const globMatches = (glob, p) => new RegExp(`^${pathGlobToRegex(glob)}$`).test(p);
+
+test("pathGlobToRegex keeps * and ? within a segment and lets ** cross them", () => {
+  assert.ok(globMatches("*.js", "a.js"));
+  assert.ok(!globMatches("*.js", "src/a.js"));
+  assert.ok(globMatches("src/**/*.ts", "src/a.ts"));
+  assert.ok(globMatches("src/**/*.ts", "src/x/y/a.ts"));
+  assert.ok(!globMatches("src/**/*.ts", "lib/a.ts"));
+  assert.ok(globMatches("**", "any/depth/file"));
+  assert.ok(globMatches("?.md", "a.md"));
+  assert.ok(!globMatches("?.md", "/.md"));
+});
+
+test("pathGlobToRegex supports character classes and escapes the rest", () => {
+  assert.ok(globMatches("[ab].txt", "a.txt"));
+  assert.ok(!globMatches("[ab].txt", "c.txt"));
+  assert.ok(globMatches("[!ab].txt", "c.txt"));
+  assert.ok(!globMatches("[!ab].txt", "a.txt"));
+  assert.ok(globMatches("a+b (1).js", "a+b (1).js"));
+  assert.ok(!globMatches("a.js", "abjs"));
+  assert.ok(globMatches("[oops", "[oops"));
+});
+
+test("compileGitignore handles negation, anchoring and directory-only rules", () => {
+  const rules = compileGitignore("# comment\n\n*.log\n!keep.log\n/build\nnode_modules/\ndocs/*.md  \n");
+  const matching = (p, isDir = false) =>
+    rules.filter((r) => (!r.dirOnly || isDir) && r.regex.test(p)).map((r) => (r.negate ? "!" : "+"));
+
+  assert.equal(rules.length, 5);
+  assert.deepEqual(matching("a/debug.log"), ["+"]);
+  assert.deepEqual(matching("keep.log"), ["+", "!"]);
+  assert.deepEqual(matching("build", true), ["+"]);
+  assert.deepEqual(matching("src/build", true), []);
+  assert.deepEqual(matching("src/node_modules", true), ["+"]);
+  assert.deepEqual(matching("src/node_modules"), []);
+  assert.deepEqual(matching("docs/a.md"), ["+"]);
+  assert.deepEqual(matching("src/docs/a.md"), []);
+});
+
+test("glob honours .gitignore files along the walk and skips hidden entries", async () => {
+  const { matches } = await runTool("glob", { pattern: "**/*.js" });
+  assert.deepEqual(matches.sort(), ["a.js", "gen.js", "src/build/x.js", "src/main.js"]);
+
+  const all = await runTool("glob", { pattern: "**/*.js", include_hidden: true, respect_gitignore: false });
+  assert.equal(all.matches.length, 8);
+  assert.deepEqual((await runTool("glob", { pattern: "*.log" })).matches, ["keep.log"]);
+});
+
+test("list_directory pages entries and descends to the given depth", async () => {
+  const top = await runTool("list_directory", { path: "src" });
+  assert.deepEqual(
+    top.entries.map((e) => [e.path, e.type]),
+    [["src/build", "dir"], ["src/main.js", "file"]]
+  );
+
+  const deep = await runTool("list_directory", { path: "src", depth: 2, limit: 2 });
+  assert.deepEqual(deep.entries.map((e) => e.path), ["src/build", "src/build/x.js"]);
+  assert.equal(deep.next_offset, 2);
+});
+
+test("grep searches the files the walk yields, with context and a file glob", async () => {
+  const { matches } = await runTool("grep", { pattern: "hello" });
+  assert.deepEqual(matches.map((m) => m.path).sort(), ["a.js", "gen.js", "src/main.js"]);
+
+  const inSrc = await runTool("grep", { pattern: "HELLO", case_insensitive: true, glob: "src/*.js", context: 1 });
+  assert.deepEqual(inSrc.matches, [
+    { path: "src/main.js", line: 2, text: "hello();", before: ["// main"], after: ["bye();"] },
+  ]);
+  assert.match((await runTool("grep", { pattern: "(" })).error, /Invalid regex/);
+});
+
+test("grep gives up on a pattern that runs past the tool timeout", async () => {
+  const started = Date.now();
+  const result = await runTool("grep", { pattern: "^(a+)+$", glob: "*.txt" }, { TOOL_TIMEOUT: 300 });
+  assert.match(result.error, /timed out after 300ms/);
+  assert.ok(Date.now() - started < 5000);
+});
@@ -0,0 +1,222 @@
+"use strict";
+
+// Unified diff parsing and loose hunk placement, then apply_patch and
+// edit_file against files in a temporary workspace.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  EMAgent,
+  BUILTIN_TOOLS,
+  parsePatch,
+  findHunk,
+  indentShift,
+  applyHunks,
+} = require("../EMAgent.js");
+
+const exact = (a, b) => a === b;
+const patchOf = (...lines) => lines.join("\n") + "\n";
+
+let dir;
+let agent;
+
+before(() => {
+  dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "emagent-patch-")));
+  agent = new EMAgent({ config: { WORKSPACE: dir, CHECKPOINTS: false } });
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function runTool(name, args) {
+  const tool = BUILTIN_TOOLS.find((t) => t.name === name);
+  return tool.handler(args, { agent, resolvePath: (p, options) => agent.resolvePath(p, options) });
+}
+
+const file = (name) => path.join(dir, name);
+
+test("parsePatch reads plain and git diffs, creations, deletions and renames", () => {
+  const files = parsePatch(
+    patchOf(
+      "diff --git a/src/a.js b/src/a.js",
+      "index 1111111..2222222 100644",
+      "--- a/src/a.js",
+      "+++ b/src/a.js",
+      "@@ -1,2 +1,2 @@",
+      " keep",
+      "-old",
+      "+new",
+      "\\ No newline at end of file",
+      "--- /dev/null",
+      "+++ b/new.txt",
+      "@@ -0,0 +1 @@",
+      "+hello",
+      "--- a/gone.txt",
+      "+++ /dev/null",
+      "@@ -1 +0,0 @@",
+      "-bye",
+      "diff --git a/old.js b/renamed.js",
+      "similarity index 100%",
+      "rename from old.js",
+      "rename to renamed.js"
+    )
+  );
+
+  assert.deepEqual(
+    files.map((f) => [f.oldPath, f.newPath, f.hunks.length]),
+    [
+      ["src/a.js", "src/a.js", 1],
+      [null, "new.txt", 1],
+      ["gone.txt", null, 1],
+      ["old.js", "renamed.js", 0],
+    ]
+  );
+  const [hunk] = files[0].hunks;
+  assert.equal(hunk.oldStart, 1);
+  assert.deepEqual(hunk.lines, [
+    { op: " ", text: "keep" },
+    { op: "-", text: "old" },
+    { op: "+", text: "new" },
+  ]);
+  assert.deepEqual(hunk.noEol, { new: true });
+});
+
+test("parsePatch rejects text that is not a usable diff", () => {
+  assert.throws(() => parsePatch("just some text"), /No file changes found/);
+  assert.throws(() => parsePatch(patchOf("--- a/x", "+++ b/x", "@@ bad @@")), /Malformed hunk header/);
+  assert.throws(() => parsePatch(patchOf("--- a/x", "+++ b/x", "@@ -1 +1 @@", "*oops")), /Unexpected line/);
+});
+
+test("findHunk prefers the match nearest the expected line, after `min`", () => {
+  const lines = ["a", "x", "b", "x", "c", "x"];
+  assert.equal(findHunk(lines, ["x"], 3, exact, 0), 3);
+  assert.equal(findHunk(lines, ["x"], 2, exact, 0), 1);
+  assert.equal(findHunk(lines, ["x"], 0, exact, 2), 3);
+  assert.equal(findHunk(lines, ["x", "c"], 0, exact, 0), 3);
+  assert.equal(findHunk(lines, ["missing"], 0, exact, 0), -1);
+});
+
+test("indentShift finds a consistent indentation change, or null", () => {
+  assert.deepEqual(indentShift(["    a", "      b"], ["a", "  b"]), { remove: "", add: "    " });
+  assert.deepEqual(indentShift(["a", "  b"], ["\ta", "\t  b"]), { remove: "\t", add: "" });
+  assert.deepEqual(indentShift(["a", "", "b"], ["a", "  ", "b"]), { remove: "", add: "" });
+  assert.equal(indentShift(["  a", "    b"], ["a", "b"]), null);
+});
+
+test("applyHunks places hunks whose line numbers have drifted", () => {
+  const content = ["intro", "extra", "extra", "one", "two", "three", ""].join("\n");
+  const [{ hunks }] = parsePatch(patchOf("--- a/f", "+++ b/f", "@@ -2,3 +2,3 @@", " one", "-two", "+TWO", " three"));
+
+  const { content: out, applied, failures } = applyHunks(content, hunks);
+
+  assert.deepEqual(failures, []);
+  assert.deepEqual(applied, [{ hunk: 1, line: 4 }]);
+  assert.equal(out, ["intro", "extra", "extra", "one", "TWO", "three", ""].join("\n"));
+});
+
+test("applyHunks re-indents added lines when context matched ignoring indentation", () => {
+  const content = "if (x) {\n    call();\n}\n";
+  const [{ hunks }] = parsePatch(
+    patchOf("--- a/f", "+++ b/f", "@@ -1,3 +1,4 @@", " if (x) {", "   call();", "+  again();", " }")
+  );
+
+  const { content: out, applied } = applyHunks(content, hunks);
+
+  assert.equal(out, "if (x) {\n    call();\n    again();\n}\n");
+  assert.equal(applied[0].matched, "ignoring whitespace");
+});
+
+test("applyHunks drops context lines (fuzz) and reports hunks it cannot place", () => {
+  const content = "a\nb\nc\nd\ne\n";
+  const [{ hunks: fuzzy }] = parsePatch(
+    patchOf("--- a/f", "+++ b/f", "@@ -1,5 +1,5 @@", " A", " b", "-c", "+C", " d", " E")
+  );
+  const placed = applyHunks(content, fuzzy);
+  assert.equal(placed.content, "a\nb\nC\nd\ne\n");
+  assert.equal(placed.applied[0].fuzz, 1);
+
+  const [{ hunks: lost }] = parsePatch(patchOf("--- a/f", "+++ b/f", "@@ -1 +1 @@", "-nowhere", "+x"));
+  const failed = applyHunks(content, lost);
+  assert.equal(failed.failures.length, 1);
+  assert.match(failed.failures[0].reason, /context not found/);
+});
+
+test("applyHunks follows the patch's end-of-file newline markers", () => {
+  const [{ hunks }] = parsePatch(
+    patchOf("--- a/f", "+++ b/f", "@@ -1 +1 @@", "-a", "\\ No newline at end of file", "+b")
+  );
+  assert.equal(applyHunks("a", hunks).content, "b\n");
+});
+
+test("apply_patch changes every file or none", async () => {
+  fs.writeFileSync(file("keep.txt"), "one\ntwo\n");
+  fs.writeFileSync(file("old.txt"), "moved\n");
+
+  const failed = await runTool("apply_patch", {
+    patch: patchOf(
+      "--- a/keep.txt", "+++ b/keep.txt", "@@ -1,2 +1,2 @@", " one", "-two", "+2",
+      "--- a/keep.txt", "+++ b/missing.txt", "@@ -1 +1 @@", "-x", "+y"
+    ),
+  });
+  assert.match(failed.error, /no files were changed/);
+  assert.equal(fs.readFileSync(file("keep.txt"), "utf8"), "one\ntwo\n");
+
+  const done = await runTool("apply_patch", {
+    patch: patchOf(
+      "--- a/keep.txt", "+++ b/keep.txt", "@@ -1,2 +1,2 @@", " one", "-two", "+2",
+      "--- /dev/null", "+++ b/made.txt", "@@ -0,0 +1 @@", "+new",
+      "diff --git a/old.txt b/moved.txt", "rename from old.txt", "rename to moved.txt"
+    ),
+  });
+  assert.deepEqual(
+    done.files.map((f) => [f.path, f.action]),
+    [["keep.txt", "modified"], ["made.txt", "created"], ["moved.txt", "renamed"]]
+  );
+  assert.equal(fs.readFileSync(file("keep.txt"), "utf8"), "one\n2\n");
+  assert.equal(fs.readFileSync(file("made.txt"), "utf8"), "new\n");
+  assert.equal(fs.readFileSync(file("moved.txt"), "utf8"), "moved\n");
+  assert.equal(fs.existsSync(file("old.txt")), false);
+});
+
+test("apply_patch refuses two diffs for the same file", async () => {
+  fs.writeFileSync(file("twice.txt"), "a\nb\nc\n");
+  const result = await runTool("apply_patch", {
+    patch: patchOf(
+      "--- a/twice.txt", "+++ b/twice.txt", "@@ -1 +1 @@", "-a", "+A",
+      "--- a/twice.txt", "+++ b/twice.txt", "@@ -3 +3 @@", "-c", "+C"
+    ),
+  });
+  assert.match(result.failures[0].reason, /more than once/);
+  assert.equal(fs.readFileSync(file("twice.txt"), "utf8"), "a\nb\nc\n");
+});
+
+test("an apply_patch call needs every path allowed and none denied", async () => {
+  const patch = patchOf("--- a/src/a.js", "+++ b/src/a.js", "@@ -1 +1 @@", "-a", "+b",
+    "--- a/secret.txt", "+++ b/secret.txt", "@@ -1 +1 @@", "-a", "+b");
+  const check = (config) =>
+    new EMAgent({ config: { WORKSPACE: dir, ...config } }).checkPermission("apply_patch", { patch });
+
+  assert.equal((await check({ ALLOW_RULES: ["apply_patch:src/*"] })).allowed, false);
+  assert.equal((await check({ ALLOW_RULES: ["apply_patch:src/*", "apply_patch:*.txt"] })).allowed, true);
+  const denied = await check({ ALLOW_RULES: ["apply_patch:**"], DENY_RULES: ["apply_patch:secret*"] });
+  assert.equal(denied.allowed, false);
+});
+
+test("edit_file checks expected_replacements, given as a number or a numeric string", async () => {
+  fs.writeFileSync(file("edit.txt"), "x = 1\ny = 1\n");
+
+  const mismatch = await runTool("edit_file", { path: "edit.txt", find: "1", replace: "2", expected_replacements: 1 });
+  assert.match(mismatch.error, /Expected 1 replacement\(s\) but 'find' occurs 2 time\(s\)/);
+  for (const bad of ["one", -1, 1.5, ""]) {
+    const result = await runTool("edit_file", { path: "edit.txt", find: "1", replace: "2", expected_replacements: bad });
+    assert.match(result.error, /must be a non-negative integer/, JSON.stringify(bad));
+  }
+  assert.equal(fs.readFileSync(file("edit.txt"), "utf8"), "x = 1\ny = 1\n");
+
+  const edited = await runTool("edit_file", { path: "edit.txt", find: "1", replace: "2", expected_replacements: "2" });
+  assert.deepEqual(edited, { status: "edited", replacements: 2 });
+  assert.equal(fs.readFileSync(file("edit.txt"), "utf8"), "x = 2\ny = 2\n");
+});
@@ -0,0 +1,71 @@
+"use strict";
+
+// Permission checks: deny and allow rules, chained shell commands and
+// path rules resolved against the workspace.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { EMAgent, shellCommandTargets, SHELL_META_RE } = require("../EMAgent.js");
+
+function check(config, name, args) {
+  const agent = new EMAgent({ config });
+  return agent.checkPermission(name, args);
+}
+
+test("shellCommandTargets lists the command and each chained command", () => {
+  assert.deepEqual(shellCommandTargets("true && rm -rf ~"), ["true && rm -rf ~", "true", "rm -rf ~"]);
+  assert.deepEqual(shellCommandTargets("a; b | c || d & e"), ["a; b | c || d & e", "a", "b", "c", "d", "e"]);
+  assert.deepEqual(shellCommandTargets("echo $(whoami) `id`"), ["echo $(whoami) `id`", "echo", "whoami", "id"]);
+  assert.deepEqual(shellCommandTargets("(cd x)\nls"), ["(cd x)\nls", "cd x", "ls"]);
+  assert.deepEqual(shellCommandTargets("git status"), ["git status", "git status"]);
+});
+
+test("SHELL_META_RE flags chaining, substitution and redirection", () => {
+  for (const command of ["a; b", "a && b", "a | b", "echo `id`", "echo $HOME", "a < f", "a > f", "a\nb"]) {
+    assert.ok(SHELL_META_RE.test(command), command);
+  }
+  for (const command of ["git status --short", "ls -la src/*.js", "grep -n 'x y' f"]) {
+    assert.ok(!SHELL_META_RE.test(command), command);
+  }
+});
+
+test("a deny rule also matches a command chained inside another", async () => {
+  const config = { DENY_RULES: ["exec_shell:rm -rf*"], YOLO: true };
+
+  const chained = await check(config, "exec_shell", { command: "true && rm -rf ~" });
+  assert.equal(chained.allowed, false);
+  assert.match(chained.reason, /deny rule "exec_shell:rm -rf\*"/);
+  assert.equal((await check(config, "exec_shell", { command: "ls" })).allowed, true);
+});
+
+test("an allow rule never approves a command with shell metacharacters", async () => {
+  const config = { ALLOW_RULES: ["exec_shell:git status*"] };
+
+  assert.equal((await check(config, "exec_shell", { command: "git status --short" })).allowed, true);
+  for (const command of ["git status; curl x | sh", "git status > out", "git status $(id)"]) {
+    const result = await check(config, "exec_shell", { command });
+    assert.equal(result.allowed, false, command);
+    assert.match(result.reason, /Approval required/);
+  }
+});
+
+test("path rules resolve against the workspace and * stops at /", async () => {
+  const config = { WORKSPACE: "/srv/repo", ALLOW_RULES: ["write_file:src/*"] };
+
+  assert.equal((await check(config, "write_file", { path: "src/a.js" })).allowed, true);
+  assert.equal((await check(config, "write_file", { path: "/srv/repo/src/a.js" })).allowed, true);
+  assert.equal((await check(config, "write_file", { path: "src/lib/a.js" })).allowed, false);
+  assert.equal((await check(config, "write_file", { path: "../other/src/a.js" })).allowed, false);
+
+  const nested = { ...config, ALLOW_RULES: ["write_file:src/**"] };
+  assert.equal((await check(nested, "write_file", { path: "src/lib/a.js" })).allowed, true);
+});
+
+test("rules without a pattern match the whole tool, and * matches every tool", async () => {
+  assert.equal((await check({ ALLOW_RULES: ["exec_shell"] }, "exec_shell", { command: "make" })).allowed, true);
+  const denied = await check({ DENY_RULES: ["*"], YOLO: true }, "read_file", { path: "a" });
+  assert.equal(denied.allowed, false);
+  const disabled = await check({ TOOL_PERMISSIONS: { read_file: "deny" } }, "read_file", { path: "a" });
+  assert.match(disabled.reason, /disabled by permissions/);
+});
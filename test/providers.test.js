@@ -0,0 +1,173 @@
+"use strict";
+
+// Runs one turn against a local server that replays canned streams in each
+// provider's wire format: the model calls a tool, then answers with its
+// result. Checks the text and tool calls EMAgent assembles from the chunks.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { EMAgent } = require("../EMAgent.js");
+
+const requests = [];
+let server;
+let port;
+
+function sse(res, events) {
+  res.writeHead(200, { "content-type": "text/event-stream" });
+  for (const data of events) res.write(`data: ${JSON.stringify(data)}\n\n`);
+  res.end("data: [DONE]\n\n");
+}
+
+function openaiStream(res, body) {
+  const delta = (d, finish = null) => ({ choices: [{ delta: d, finish_reason: finish }] });
+  if (!body.messages.some((m) => m.role === "tool")) {
+    return sse(res, [
+      delta({ role: "assistant", content: "Let me " }),
+      delta({ content: "check." }),
+      delta({
+        tool_calls: [
+          { index: 0, id: "call_1", type: "function", function: { name: "lookup", arguments: '{"ke' } },
+        ],
+      }),
+      delta({ tool_calls: [{ index: 0, function: { arguments: 'y":"a"}' } }] }),
+      delta({}, "tool_calls"),
+      { choices: [], usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } },
+    ]);
+  }
+  sse(res, [delta({ content: "The value " }), delta({ content: "is 42." }), delta({}, "stop")]);
+}
+
+function anthropicStream(res, body) {
+  res.writeHead(200, { "content-type": "text/event-stream" });
+  const event = (type, data) =>
+    res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+  event("message_start", { message: { usage: { input_tokens: 10, output_tokens: 1 } } });
+  const answered = body.messages.some(
+    (m) => Array.isArray(m.content) && m.content.some((b) => b.type === "tool_result")
+  );
+  if (!answered) {
+    event("content_block_start", { index: 0, content_block: { type: "text", text: "" } });
+    event("content_block_delta", { index: 0, delta: { type: "text_delta", text: "Let me " } });
+    event("content_block_delta", { index: 0, delta: { type: "text_delta", text: "check." } });
+    event("content_block_stop", { index: 0 });
+    event("content_block_start", {
+      index: 1,
+      content_block: { type: "tool_use", id: "toolu_1", name: "lookup", input: {} },
+    });
+    event("content_block_delta", { index: 1, delta: { type: "input_json_delta", partial_json: '{"ke' } });
+    event("content_block_delta", { index: 1, delta: { type: "input_json_delta", partial_json: 'y":"a"}' } });
+    event("content_block_stop", { index: 1 });
+    event("message_delta", { delta: { stop_reason: "tool_use" }, usage: { output_tokens: 5 } });
+  } else {
+    event("content_block_start", { index: 0, content_block: { type: "text", text: "" } });
+    event("content_block_delta", { index: 0, delta: { type: "text_delta", text: "The value " } });
+    event("content_block_delta", { index: 0, delta: { type: "text_delta", text: "is 42." } });
+    event("content_block_stop", { index: 0 });
+    event("message_delta", { delta: { stop_reason: "end_turn" }, usage: { output_tokens: 4 } });
+  }
+  event("message_stop", {});
+  res.end();
+}
+
+function ollamaStream(res, body) {
+  res.writeHead(200, { "content-type": "application/x-ndjson" });
+  const line = (data) => res.write(JSON.stringify(data) + "\n");
+  if (!body.messages.some((m) => m.role === "tool")) {
+    line({ message: { role: "assistant", content: "Let me " }, done: false });
+    line({ message: { role: "assistant", content: "check." }, done: false });
+    line({
+      message: {
+        role: "assistant",
+        content: "",
+        tool_calls: [{ function: { name: "lookup", arguments: { key: "a" } } }],
+      },
+      done: false,
+    });
+  } else {
+    line({ message: { role: "assistant", content: "The value " }, done: false });
+    line({ message: { role: "assistant", content: "is 42." }, done: false });
+  }
+  line({ message: { role: "assistant", content: "" }, done: true, prompt_eval_count: 10, eval_count: 5 });
+  res.end();
+}
+
+const STREAMS = {
+  "/v1/chat/completions": openaiStream,
+  "/v1/messages": anthropicStream,
+  "/api/chat": ollamaStream,
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => {
+      const body = JSON.parse(data);
+      requests.push({ url: req.url, body });
+      const stream = STREAMS[req.url];
+      if (!stream) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      stream(res, body);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const lookup = {
+  name: "lookup",
+  description: "Look up a value by key",
+  parameters: { type: "object", properties: { key: { type: "string" } }, required: ["key"] },
+  handler: async ({ key }) => ({ key, value: 42 }),
+};
+
+for (const [provider, basePath] of [
+  ["openai", "/v1"],
+  ["anthropic", "/v1"],
+  ["ollama", ""],
+]) {
+  test(`${provider} stream assembles content and tool calls`, async () => {
+    requests.length = 0;
+    const agent = new EMAgent({
+      config: {
+        PROVIDER: provider,
+        BASE_URL: `http://127.0.0.1:${port}${basePath}`,
+        MODEL: "test-model",
+        RETRY_COUNT: 1,
+        CHECKPOINTS: false,
+        TOOL_PERMISSIONS: { lookup: "allow" },
+      },
+      tools: [lookup],
+    });
+
+    try {
+      const result = await agent.send("What is the value of a?");
+
+      assert.equal(result.content, "The value is 42.");
+      assert.equal(result.toolCalls.length, 1);
+      assert.equal(result.toolCalls[0].name, "lookup");
+      assert.deepEqual(JSON.parse(result.toolCalls[0].arguments), { key: "a" });
+      assert.deepEqual(result.toolCalls[0].result, { key: "a", value: 42 });
+
+      const [, call, toolResult, answer] = agent.conversation;
+      assert.equal(call.role, "assistant");
+      assert.equal(call.content, "Let me check.");
+      assert.equal(call.tool_calls[0].function.name, "lookup");
+      assert.equal(toolResult.role, "tool");
+      assert.equal(toolResult.tool_call_id, call.tool_calls[0].id);
+      assert.equal(answer.content, "The value is 42.");
+
+      assert.equal(requests.length, 2);
+      assert.ok(requests.every((r) => r.body.model === "test-model" && r.body.stream === true));
+    } finally {
+      agent.close();
+    }
+  });
+}
@@ -0,0 +1,87 @@
+"use strict";
+
+// Session locks: one process (or agent) at a time may have a session open.
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { execFileSync } = require("node:child_process");
+
+const { EMAgent } = require("../EMAgent.js");
+
+const dirs = [];
+
+after(() => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function tempConfig() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "emagent-sessions-"));
+  dirs.push(dir);
+  return {
+    SESSIONS_DIR: path.join(dir, "sessions"),
+    CHECKPOINTS_DIR: path.join(dir, "checkpoints"),
+    CHECKPOINTS: false,
+  };
+}
+
+async function savedSession(config) {
+  const agent = new EMAgent({ config });
+  const { id } = await agent.startSession([{ role: "user", content: "hello" }]);
+  await agent.save();
+  agent.close();
+  return id;
+}
+
+// The PID of a process that has already exited.
+function deadPid() {
+  return Number(execFileSync(process.execPath, ["-e", "process.stdout.write(String(process.pid))"]));
+}
+
+test("only one of two concurrent resumeSession calls gets the lock", async () => {
+  const config = tempConfig();
+  const id = await savedSession(config);
+  const agents = [new EMAgent({ config }), new EMAgent({ config })];
+
+  const outcomes = await Promise.allSettled(agents.map((a) => a.resumeSession(id)));
+
+  assert.deepEqual(outcomes.map((o) => o.status).sort(), ["fulfilled", "rejected"]);
+  const failed = outcomes.find((o) => o.status === "rejected");
+  assert.match(failed.reason.message, /is open in another process/);
+  const lock = path.join(config.SESSIONS_DIR, `${id}.lock`);
+  assert.equal(fs.readFileSync(lock, "utf8"), String(process.pid));
+
+  for (const agent of agents) agent.close();
+  assert.equal(fs.existsSync(lock), false);
+});
+
+test("a lock left by a dead process is taken over", async () => {
+  const config = tempConfig();
+  const id = await savedSession(config);
+  const lock = path.join(config.SESSIONS_DIR, `${id}.lock`);
+  fs.writeFileSync(lock, String(deadPid()));
+
+  const agent = new EMAgent({ config });
+  await agent.resumeSession(id);
+  assert.equal(fs.readFileSync(lock, "utf8"), String(process.pid));
+  agent.close();
+});
+
+test("an empty or unreadable lock is never removed", async () => {
+  const config = tempConfig();
+  const id = await savedSession(config);
+  const lock = path.join(config.SESSIONS_DIR, `${id}.lock`);
+
+  for (const content of ["", "not a pid"]) {
+    fs.writeFileSync(lock, content);
+    const agent = new EMAgent({ config });
+    await assert.rejects(agent.resumeSession(id), /cannot be read/);
+    assert.equal(fs.readFileSync(lock, "utf8"), content);
+  }
+  assert.deepEqual(
+    fs.readdirSync(config.SESSIONS_DIR).filter((name) => name.endsWith(".tmp")),
+    []
+  );
+});
@@ -0,0 +1,80 @@
+"use strict";
+
+// Cron expressions: parsing, the next matching minute, and set_time_out's
+// validation. Dates are local time, as cron's are.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { EMAgent, BUILTIN_TOOLS, parseCron, nextCronTime } = require("../EMAgent.js");
+
+const next = (expr, after) => nextCronTime(parseCron(expr), after);
+const at = (y, mo, d, h = 0, mi = 0, s = 0) => new Date(y, mo - 1, d, h, mi, s);
+
+test("parseCron expands lists, ranges, steps, names and aliases", () => {
+  const cron = parseCron("5/15 9-17/4 1,15 jan,JUL mon-fri");
+  assert.deepEqual([...cron.minute], [5, 20, 35, 50]);
+  assert.deepEqual([...cron.hour], [9, 13, 17]);
+  assert.deepEqual([...cron.dom], [1, 15]);
+  assert.deepEqual([...cron.month], [1, 7]);
+  assert.deepEqual([...cron.dow], [1, 2, 3, 4, 5]);
+  assert.equal(cron.anyDom, false);
+
+  assert.deepEqual(parseCron("@daily"), parseCron("0 0 * * *"));
+  assert.ok(parseCron("0 0 * * 7").dow.has(0), "7 is Sunday too");
+  assert.equal(parseCron("*/2 * * * *").minute.size, 30);
+});
+
+test("parseCron rejects malformed expressions", () => {
+  assert.throws(() => parseCron("* * * *"), /needs 5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /Invalid minute "60"/);
+  assert.throws(() => parseCron("* * * foo *"), /Invalid month "foo"/);
+  assert.throws(() => parseCron("*/0 * * * *"), /Invalid step/);
+  assert.throws(() => parseCron("5-1 * * * *"), /Invalid range/);
+});
+
+test("nextCronTime returns the first matching minute strictly after the time", () => {
+  assert.deepEqual(next("*/15 * * * *", at(2026, 1, 1, 10, 7)), at(2026, 1, 1, 10, 15));
+  assert.deepEqual(next("*/15 * * * *", at(2026, 1, 1, 10, 15)), at(2026, 1, 1, 10, 30));
+  assert.deepEqual(next("*/15 * * * *", at(2026, 1, 1, 10, 14, 30)), at(2026, 1, 1, 10, 15));
+  assert.deepEqual(next("0 0 * * *", at(2026, 12, 31, 23, 59)), at(2027, 1, 1));
+});
+
+test("nextCronTime skips to the next matching day and month", () => {
+  // 2026-01-02 is a Friday.
+  assert.deepEqual(next("0 9 * * 1-5", at(2026, 1, 2, 17)), at(2026, 1, 5, 9));
+  assert.deepEqual(next("30 8 1 */3 *", at(2026, 2, 10)), at(2026, 4, 1, 8, 30));
+  assert.deepEqual(next("0 0 29 2 *", at(2026, 3, 1)), at(2028, 2, 29));
+});
+
+test("a restricted day of month and day of week match either one", () => {
+  // The 13th, or any Friday: Friday the 2nd comes first.
+  assert.deepEqual(next("0 0 13 * 5", at(2026, 1, 1)), at(2026, 1, 2));
+  assert.deepEqual(next("0 0 13 * *", at(2026, 1, 1)), at(2026, 1, 13));
+  assert.deepEqual(next("0 0 * * 5", at(2026, 1, 3)), at(2026, 1, 9));
+});
+
+test("nextCronTime gives null for an expression that never fires", () => {
+  assert.equal(next("0 0 30 2 *", at(2026, 1, 1)), null);
+});
+
+test("set_time_out schedules a cron timer at its next run and reports bad input", async () => {
+  const agent = new EMAgent({ config: {} });
+  const setTimer = BUILTIN_TOOLS.find((t) => t.name === "set_time_out").handler;
+  try {
+    const before = new Date();
+    const timer = await setTimer({ cron: "0 9 * * 1", note: "standup" }, { agent });
+    const due = new Date(timer.due);
+    assert.equal(timer.cron, "0 9 * * 1");
+    assert.ok(due > before);
+    assert.deepEqual([due.getDay(), due.getHours(), due.getMinutes()], [1, 9, 0]);
+    assert.deepEqual(due, next("0 9 * * 1", before));
+
+    assert.match((await setTimer({ cron: "0 0 30 2 *" }, { agent })).error, /never fires/);
+    assert.match((await setTimer({ cron: "bad" }, { agent })).error, /needs 5 fields/);
+    assert.match((await setTimer({ cron: "* * * * *", every: 60000 }, { agent })).error, /cannot be combined/);
+    assert.equal(agent.listTimers().length, 1);
+  } finally {
+    agent.close();
+  }
+});
@@ -0,0 +1,75 @@
+"use strict";
+
+// Confining tool paths to the workspace: `..`, symlinks out of the root,
+// dangling links and read-only directories.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { EMAgent } = require("../EMAgent.js");
+
+let dir;
+let root;
+let outside;
+let agent;
+
+before(() => {
+  dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "emagent-workspace-")));
+  root = path.join(dir, "root");
+  outside = path.join(dir, "outside");
+  fs.mkdirSync(path.join(root, "src"), { recursive: true });
+  fs.mkdirSync(outside);
+  fs.writeFileSync(path.join(root, "src", "a.js"), "");
+  fs.writeFileSync(path.join(outside, "secret"), "");
+  fs.symlinkSync(outside, path.join(root, "escape"));
+  fs.symlinkSync(path.join(outside, "missing"), path.join(root, "dangling-out"));
+  fs.symlinkSync(path.join(root, "src", "new.js"), path.join(root, "dangling-in"));
+  fs.symlinkSync("loop-b", path.join(root, "loop-a"));
+  fs.symlinkSync("loop-a", path.join(root, "loop-b"));
+  agent = new EMAgent({ config: { WORKSPACE: root } });
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("paths inside the workspace resolve against its root", async () => {
+  assert.equal(await agent.resolvePath("src/a.js"), path.join(root, "src", "a.js"));
+  assert.equal(await agent.resolvePath("src/../src/a.js"), path.join(root, "src", "a.js"));
+  assert.equal(await agent.resolvePath(path.join(root, "src")), path.join(root, "src"));
+  // Files that do not exist yet resolve through their existing parents.
+  assert.equal(await agent.resolvePath("src/lib/b.js", { write: true }), path.join(root, "src", "lib", "b.js"));
+});
+
+test("paths that leave the workspace are refused", async () => {
+  for (const p of ["../outside/secret", "/etc/passwd", "escape/secret", "escape/new-file"]) {
+    await assert.rejects(agent.resolvePath(p), /is outside the workspace/, p);
+  }
+});
+
+test("a dangling symlink resolves to its missing target", async () => {
+  await assert.rejects(agent.resolvePath("dangling-out", { write: true }), /is outside the workspace/);
+  assert.equal(await agent.resolvePath("dangling-in", { write: true }), path.join(root, "src", "new.js"));
+});
+
+test("a symlink loop is reported instead of followed forever", async () => {
+  await assert.rejects(agent.resolvePath("loop-a"), /ELOOP|Too many symlinks/);
+});
+
+test("follow: false names the link itself", async () => {
+  assert.equal(await agent.resolvePath("escape", { follow: false }), path.join(root, "escape"));
+  await assert.rejects(agent.resolvePath("escape/secret", { follow: false }), /is outside the workspace/);
+});
+
+test("read-only directories can be read but not written", async () => {
+  const reader = new EMAgent({ config: { WORKSPACE: root, READ_ONLY_DIRS: [outside] } });
+  assert.equal(await reader.resolvePath("../outside/secret"), path.join(outside, "secret"));
+  await assert.rejects(reader.resolvePath("../outside/secret", { write: true }), /read-only directory/);
+});
+
+test("without a workspace, paths are only resolved", async () => {
+  const free = new EMAgent({ config: {} });
+  assert.equal(await free.resolvePath("../x"), path.resolve("../x"));
+  await assert.rejects(free.resolvePath(""), /non-empty string/);
+});